@@ -0,0 +1,141 @@
+// game/achievements.js
+// Achievements shared by the game and achievements.html. Each one is a
+// stat the tracker keeps plus a goal; the game feeds the tracker its
+// gameplay events and it unlocks whatever reaches its goal.
+(() => {
+  "use strict";
+
+  const KEY = "ntr.achievements";
+  const VERSION = 1;
+
+  // stat: what the tracker counts (see createTracker), goal: unlock at >=
+  const LIST = [
+    { id: "first-blood", title: "First Blood", desc: "Destroy an interceptor", stat: "kills", goal: 1 },
+    { id: "bullseye", title: "Bullseye", desc: "Put a missile into the reactor vent", stat: "roundsCleared", goal: 1 },
+    { id: "round-5", title: "Deep Run", desc: "Reach round 5", stat: "round", goal: 5 },
+    {
+      id: "sharpshooter",
+      title: "Sharpshooter",
+      desc: "Destroy 10 interceptors with lasers in one round",
+      stat: "roundLaserKills",
+      goal: 10,
+    },
+    {
+      id: "guns-only",
+      title: "Guns Only",
+      desc: "Clear a round without firing a missile before the vent shot",
+      stat: "missileFreeClears",
+      goal: 1,
+    },
+    {
+      id: "untouchable",
+      title: "Untouchable",
+      desc: "Survive 60 seconds without taking damage",
+      stat: "undamaged",
+      goal: 60,
+      unit: "s",
+    },
+    { id: "ace", title: "Ace", desc: "Score 50,000 in one run", stat: "score", goal: 50000 },
+  ];
+
+  function empty() {
+    return { version: VERSION, unlocked: {}, best: {} };
+  }
+
+  // unlocked: id -> ISO date, best: id -> best progress toward the goal
+  function load() {
+    let data;
+    try {
+      data = JSON.parse(localStorage.getItem(KEY));
+    } catch (err) {
+      return empty();
+    }
+    if (!data || typeof data !== "object") return empty();
+
+    const out = empty();
+    for (const a of LIST) {
+      const date = data.unlocked && data.unlocked[a.id];
+      if (typeof date === "string" && !isNaN(Date.parse(date))) out.unlocked[a.id] = date;
+      const best = Number(data.best && data.best[a.id]);
+      if (Number.isFinite(best) && best > 0) out.best[a.id] = best;
+    }
+    return out;
+  }
+
+  function save(data) {
+    try {
+      localStorage.setItem(KEY, JSON.stringify(data));
+    } catch (err) {
+      // private mode / storage full: unlocks just won't persist
+    }
+  }
+
+  // Feed it the game's events (handle) and playing time (tick).
+  // onUnlock(achievement) fires once per achievement, ever.
+  function createTracker(onUnlock) {
+    const data = load();
+    const stats = {};
+
+    function resetRound() {
+      stats.roundLaserKills = 0;
+      stats.roundMissiles = 0; // fired at anything but the vent
+    }
+
+    function resetRun() {
+      stats.kills = 0;
+      stats.roundsCleared = 0;
+      stats.missileFreeClears = 0;
+      stats.round = 1;
+      stats.score = 0;
+      stats.undamaged = 0;
+      resetRound();
+    }
+    resetRun();
+
+    function check() {
+      for (const a of LIST) {
+        const value = Math.min(stats[a.stat], a.goal);
+        if (value > (data.best[a.id] || 0)) data.best[a.id] = value;
+        if (data.unlocked[a.id] || stats[a.stat] < a.goal) continue;
+
+        data.unlocked[a.id] = new Date().toISOString();
+        save(data);
+        onUnlock(a);
+      }
+    }
+
+    function handle(type, detail) {
+      stats.score = detail.score;
+      stats.round = detail.round;
+
+      if (type === "roundStarted") {
+        if (detail.round === 1) resetRun();
+        resetRound();
+      } else if (type === "enemyDestroyed" && detail.kind === "interceptor") {
+        // interceptors only (formation members included); divers, heavies,
+        // turrets and boss parts don't count
+        stats.kills += 1;
+        if (detail.weapon === "laser") stats.roundLaserKills += 1;
+      } else if (type === "missileFired") {
+        if (!detail.atVent) stats.roundMissiles += 1;
+      } else if (type === "roundCleared") {
+        stats.roundsCleared += 1;
+        if (stats.roundMissiles === 0) stats.missileFreeClears += 1;
+      } else if (type === "shipDamaged" || type === "lifeLost") {
+        stats.undamaged = 0;
+      }
+
+      check();
+      if (type === "gameOver") save(data); // progress, once per run
+    }
+
+    function tick(dt) {
+      stats.undamaged += dt;
+      check();
+    }
+
+    return { handle, tick };
+  }
+
+  window.TrenchAchievements = { KEY, VERSION, LIST, load, createTracker };
+})();
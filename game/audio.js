@@ -0,0 +1,292 @@
+// game/audio.js
+// Procedural Web Audio: every sound is synthesized here, no asset files.
+(() => {
+  "use strict";
+
+  const AC = window.AudioContext || window.webkitAudioContext;
+
+  let ctx = null;
+  let master = null;
+  let sfxBus = null;
+  let musicBus = null;
+  let noiseBuf = null;
+  let engine = null;
+
+  const vol = { master: 0.8, sfx: 0.9, music: 0.6, muted: false };
+  let paused = false; // game pause (or hidden tab) holds the context suspended
+
+  // ============================================================
+  // Context / buses
+  // ============================================================
+  function init() {
+    if (ctx || !AC) return;
+    ctx = new AC();
+
+    master = ctx.createGain();
+    master.connect(ctx.destination);
+    sfxBus = ctx.createGain();
+    sfxBus.connect(master);
+    musicBus = ctx.createGain();
+    musicBus.connect(master);
+    applyVolumes();
+
+    // 1s of white noise, reused by every burst
+    noiseBuf = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = noiseBuf.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  }
+
+  // must run inside a user gesture the first time (autoplay rules)
+  function unlock() {
+    init();
+    if (ctx && ctx.state === "suspended" && !paused && !document.hidden) ctx.resume();
+  }
+
+  function suspend() {
+    paused = true;
+    if (ctx && ctx.state === "running") ctx.suspend();
+  }
+
+  function resume() {
+    paused = false;
+    if (ctx && ctx.state === "suspended" && !document.hidden) ctx.resume();
+  }
+
+  function applyVolumes() {
+    if (!ctx) return;
+    const t = ctx.currentTime;
+    master.gain.setTargetAtTime(vol.muted ? 0 : vol.master, t, 0.02);
+    sfxBus.gain.setTargetAtTime(vol.sfx, t, 0.02);
+    musicBus.gain.setTargetAtTime(vol.music * 0.5, t, 0.02);
+  }
+
+  function setVolumes(v) {
+    if (typeof v.master === "number") vol.master = v.master;
+    if (typeof v.sfx === "number") vol.sfx = v.sfx;
+    if (typeof v.music === "number") vol.music = v.music;
+    if (typeof v.muted === "boolean") vol.muted = v.muted;
+    applyVolumes();
+  }
+
+  function toggleMute() {
+    vol.muted = !vol.muted;
+    applyVolumes();
+    return vol.muted;
+  }
+
+  for (const type of ["keydown", "pointerdown", "touchstart"]) {
+    window.addEventListener(type, unlock, { passive: true });
+  }
+  document.addEventListener("visibilitychange", () => {
+    if (!ctx) return;
+    if (document.hidden) ctx.suspend();
+    else if (!paused) ctx.resume();
+  });
+
+  // ============================================================
+  // Building blocks
+  // ============================================================
+  const ready = () => ctx && ctx.state === "running";
+
+  // one oscillator with a pitch sweep and a quick attack / exp decay
+  function tone({ type = "square", freq, freqEnd = freq, dur, gain, at = 0, bus = sfxBus }) {
+    const t = ctx.currentTime + at;
+    const osc = ctx.createOscillator();
+    const g = ctx.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, t);
+    if (freqEnd !== freq) osc.frequency.exponentialRampToValueAtTime(Math.max(1, freqEnd), t + dur);
+
+    g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(gain, t + 0.008);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+
+    osc.connect(g);
+    g.connect(bus);
+    osc.start(t);
+    osc.stop(t + dur + 0.02);
+  }
+
+  // filtered noise burst (explosions, whooshes, hats)
+  function burst({ dur, gain, filter = "lowpass", freq, freqEnd = freq, q = 0.8, at = 0, bus = sfxBus }) {
+    const t = ctx.currentTime + at;
+    const src = ctx.createBufferSource();
+    const f = ctx.createBiquadFilter();
+    const g = ctx.createGain();
+
+    src.buffer = noiseBuf;
+    f.type = filter;
+    f.Q.value = q;
+    f.frequency.setValueAtTime(freq, t);
+    if (freqEnd !== freq) f.frequency.exponentialRampToValueAtTime(Math.max(20, freqEnd), t + dur);
+
+    g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(gain, t + 0.01);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+
+    src.connect(f);
+    f.connect(g);
+    g.connect(bus);
+    src.start(t, Math.random() * 0.5);
+    src.stop(t + dur + 0.02);
+  }
+
+  // ============================================================
+  // Sound effects
+  // ============================================================
+  const SFX = {
+    laser() {
+      tone({ type: "square", freq: 1320, freqEnd: 260, dur: 0.11, gain: 0.12 });
+    },
+    missile() {
+      burst({ dur: 0.55, gain: 0.28, filter: "bandpass", freq: 300, freqEnd: 2600, q: 1.4 });
+      tone({ type: "sawtooth", freq: 140, freqEnd: 55, dur: 0.5, gain: 0.08 });
+    },
+    lock() {
+      tone({ type: "square", freq: 1760, dur: 0.06, gain: 0.07 });
+      tone({ type: "square", freq: 2350, dur: 0.08, gain: 0.07, at: 0.07 });
+    },
+    hit() {
+      tone({ type: "square", freq: 420, freqEnd: 180, dur: 0.07, gain: 0.12 });
+      burst({ dur: 0.06, gain: 0.1, filter: "highpass", freq: 2500 });
+    },
+    destroy() {
+      burst({ dur: 0.5, gain: 0.4, freq: 2200, freqEnd: 160 });
+      tone({ type: "triangle", freq: 180, freqEnd: 38, dur: 0.45, gain: 0.22 });
+    },
+    deflect() {
+      tone({ type: "triangle", freq: 2600, freqEnd: 1900, dur: 0.09, gain: 0.1 });
+    },
+    dive() {
+      tone({ type: "sawtooth", freq: 900, freqEnd: 300, dur: 0.4, gain: 0.06 });
+    },
+    bossAlarm() {
+      for (let i = 0; i < 3; i++) tone({ type: "sawtooth", freq: 440, freqEnd: 220, dur: 0.32, gain: 0.09, at: i * 0.4 });
+    },
+    bossPhase() {
+      burst({ dur: 0.6, gain: 0.35, freq: 1600, freqEnd: 120 });
+      tone({ type: "square", freq: 220, freqEnd: 110, dur: 0.4, gain: 0.1 });
+    },
+    pickup() {
+      [660, 990, 1320].forEach((f, i) => tone({ type: "sine", freq: f, dur: 0.09, gain: 0.12, at: i * 0.05 }));
+    },
+    shieldHit() {
+      tone({ type: "sine", freq: 1500, freqEnd: 600, dur: 0.18, gain: 0.14 });
+      burst({ dur: 0.12, gain: 0.12, filter: "bandpass", freq: 3200, q: 3 });
+    },
+    hullHit() {
+      burst({ dur: 0.3, gain: 0.4, freq: 1100, freqEnd: 200 });
+      tone({ type: "square", freq: 140, freqEnd: 70, dur: 0.22, gain: 0.14 });
+    },
+    crash() {
+      burst({ dur: 0.8, gain: 0.55, freq: 1400, freqEnd: 90, q: 0.6 });
+      tone({ type: "sawtooth", freq: 95, freqEnd: 28, dur: 0.7, gain: 0.2 });
+    },
+    lifeLost() {
+      const notes = [392, 311, 233];
+      notes.forEach((f, i) => tone({ type: "triangle", freq: f, dur: 0.26, gain: 0.2, at: 0.18 + i * 0.2 }));
+    },
+    ventHit() {
+      burst({ dur: 1.2, gain: 0.5, freq: 900, freqEnd: 60 });
+      const notes = [523, 659, 784, 1047];
+      notes.forEach((f, i) => tone({ type: "square", freq: f, dur: 0.18, gain: 0.1, at: 0.25 + i * 0.11 }));
+    },
+    achievement() {
+      tone({ type: "triangle", freq: 880, dur: 0.12, gain: 0.14 });
+      tone({ type: "triangle", freq: 1320, dur: 0.22, gain: 0.14, at: 0.1 });
+    },
+  };
+
+  function play(name) {
+    if (!ready() || !SFX[name]) return;
+    SFX[name]();
+  }
+
+  // ============================================================
+  // Engine drone (pitch follows scroll speed)
+  // ============================================================
+  function startEngine() {
+    const g = ctx.createGain();
+    const f = ctx.createBiquadFilter();
+    const a = ctx.createOscillator();
+    const b = ctx.createOscillator();
+
+    a.type = "sawtooth";
+    b.type = "sawtooth";
+    b.detune.value = 14;
+    f.type = "lowpass";
+    f.frequency.value = 420;
+    f.Q.value = 2;
+    g.gain.value = 0;
+
+    a.connect(f);
+    b.connect(f);
+    f.connect(g);
+    g.connect(sfxBus);
+    a.start();
+    b.start();
+
+    engine = { g, f, a, b };
+  }
+
+  function updateEngine(on, speed) {
+    if (!engine) startEngine();
+    const t = ctx.currentTime;
+    const hz = 38 + speed * 0.05;
+
+    engine.a.frequency.setTargetAtTime(hz, t, 0.1);
+    engine.b.frequency.setTargetAtTime(hz * 1.5, t, 0.1);
+    engine.f.frequency.setTargetAtTime(260 + speed * 0.5, t, 0.1);
+    engine.g.gain.setTargetAtTime(on ? 0.07 : 0, t, on ? 0.3 : 0.08);
+  }
+
+  // ============================================================
+  // Music: 16-step sequencer, scheduled a little ahead each frame
+  // ============================================================
+  const BPM = 128;
+  const STEP = 60 / BPM / 4; // 16th notes
+  const LOOKAHEAD = 0.15;
+
+  // midi notes, 0 = rest; two bars of A minor
+  const BASS = [45, 0, 45, 57, 0, 45, 52, 0, 41, 0, 41, 53, 0, 43, 55, 0];
+  const LEAD = [69, 0, 0, 72, 0, 0, 76, 0, 74, 0, 72, 0, 71, 0, 0, 0,
+                69, 0, 0, 72, 0, 0, 76, 0, 79, 0, 77, 0, 76, 0, 74, 0];
+
+  const seq = { step: 0, next: 0 };
+  const midiHz = (n) => 440 * Math.pow(2, (n - 69) / 12);
+
+  function updateMusic(on) {
+    if (!on) {
+      seq.next = 0;
+      return;
+    }
+    if (seq.next < ctx.currentTime) seq.next = ctx.currentTime + 0.05;
+
+    while (seq.next < ctx.currentTime + LOOKAHEAD) {
+      const at = seq.next - ctx.currentTime;
+      const i = seq.step;
+
+      const bass = BASS[i % BASS.length];
+      if (bass) tone({ type: "triangle", freq: midiHz(bass), dur: STEP * 1.8, gain: 0.3, at, bus: musicBus });
+
+      const lead = LEAD[i % LEAD.length];
+      if (lead) tone({ type: "square", freq: midiHz(lead), dur: STEP * 1.6, gain: 0.07, at, bus: musicBus });
+
+      if (i % 2 === 1) burst({ dur: 0.04, gain: 0.06, filter: "highpass", freq: 7000, at, bus: musicBus });
+      if (i % 8 === 0) tone({ type: "sine", freq: 120, freqEnd: 40, dur: 0.18, gain: 0.4, at, bus: musicBus });
+
+      seq.step = (i + 1) % 32;
+      seq.next += STEP;
+    }
+  }
+
+  // called once per frame by the game loop
+  function update(playing, speed) {
+    if (!ready()) return;
+    updateEngine(playing, speed);
+    updateMusic(playing);
+  }
+
+  window.TrenchAudio = { unlock, suspend, resume, setVolumes, toggleMute, play, update };
+})();
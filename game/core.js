@@ -0,0 +1,2023 @@
+// game/core.js
+// The simulation on its own: tuning, projection, entities, game state,
+// update() and collisions. Nothing here touches the DOM or a canvas, so the
+// page (game/main.js draws it) and plain Node (require("./game/core.js"))
+// step exactly the same game. Anything that changes what a tick does also
+// needs the replay VERSION in game/replay.js bumped.
+(() => {
+  "use strict";
+
+  // ============================================================
+  // Helpers
+  // ============================================================
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  const lerp = (a, b, t) => a + (b - a) * t;
+
+  function makeRng(seed) {
+    let s = seed >>> 0;
+    return () => {
+      s = (1664525 * s + 1013904223) >>> 0;
+      return s / 4294967296;
+    };
+  }
+
+  const DEFAULT_SEED = 9000;
+
+  // Trench course knots { d, cx, w, h } (centreline x, half width and half
+  // height multipliers by distance along the round), eased between.
+  function sampleCourse(knots, d) {
+    let i = 0;
+    while (i < knots.length - 2 && knots[i + 1].d <= d) i++;
+    const a = knots[i];
+    const b = knots[i + 1] || a;
+    const u = b.d > a.d ? clamp((d - a.d) / (b.d - a.d), 0, 1) : 0;
+    const e = u * u * (3 - 2 * u);
+    return { cx: lerp(a.cx, b.cx, e), w: lerp(a.w, b.w, e), h: lerp(a.h, b.h, e) };
+  }
+
+  // an authored round's scroll speed at distance d (its last speed change before d)
+  function scriptSpeed(def, d) {
+    let speed = def.speed;
+    for (const s of def.speeds) if (s.at <= d) speed = s.speed;
+    return speed;
+  }
+
+  // update() input flags (see readInput in game/main.js)
+  const IN_FIRE = 1;
+  const IN_MISSILE = 2;
+
+  // Presets. Multipliers on the base TUNE values: speedRamp (scroll speed
+  // added per round), enemySpawn (gap between spawns), spawnTighten (how
+  // fast that gap closes per round), enemyShotsChance, enemySkill,
+  // obstacleChance, hitRadius (laser forgiveness). lives / missiles are
+  // what a run starts with.
+  const DIFFICULTY = {
+    easy: {
+      label: "EASY",
+      speedRamp: 0.6,
+      enemySpawn: 1.25,
+      spawnTighten: 0.5,
+      enemyShotsChance: 0.6,
+      enemySkill: 0.6,
+      obstacleChance: 0.75,
+      hitRadius: 1.2,
+      lives: 5,
+      missiles: 5,
+    },
+    normal: {
+      label: "NORMAL",
+      speedRamp: 1,
+      enemySpawn: 1,
+      spawnTighten: 1,
+      enemyShotsChance: 1,
+      enemySkill: 1,
+      obstacleChance: 1,
+      hitRadius: 1,
+      lives: 3,
+      missiles: 3,
+    },
+    hard: {
+      label: "HARD",
+      speedRamp: 1.25,
+      enemySpawn: 0.8,
+      spawnTighten: 1.5,
+      enemyShotsChance: 1.4,
+      enemySkill: 1.3,
+      obstacleChance: 1.25,
+      hitRadius: 0.85,
+      lives: 3,
+      missiles: 2,
+    },
+    ace: {
+      label: "ACE",
+      speedRamp: 1.6,
+      enemySpawn: 0.65,
+      spawnTighten: 2,
+      enemyShotsChance: 1.8,
+      enemySkill: 1.6,
+      obstacleChance: 1.5,
+      hitRadius: 0.7,
+      lives: 1,
+      missiles: 2,
+    },
+  };
+
+  // options:
+  //   width, height  screen the camera projects onto (default 960x540)
+  //   seed           run seed (default DEFAULT_SEED)
+  //   difficulty     a DIFFICULTY key: "easy" | "normal" | "hard" | "ace"
+  //   rounds         authored rounds from TrenchRounds.parse/validate (game/rounds.js);
+  //                  rounds past the last one are procedural
+  //   sound(name)    called for every sound cue
+  //   fx(name, x, y, z)
+  //                  visual cues at a world position: sparks, debris, flash,
+  //                  shieldHit, hullHit, shipHit, pickup
+  //   emit(type, detail)
+  //                  gameplay events: enemyDestroyed, missileFired, shipDamaged,
+  //                  lifeLost, roundStarted, roundCleared, bossArrived,
+  //                  bossDefeated, pickupCollected, gameOver; detail always
+  //                  has score and round
+  function createCore(options = {}) {
+    const W = options.width || 960;
+    const H = options.height || 540;
+    const sound = options.sound || (() => {});
+    const fx = options.fx || (() => {});
+    const emit = options.emit || (() => {});
+    let script = options.rounds || [];
+
+    // ============================================================
+    // Tuning
+    // ============================================================
+    const TUNE = {
+      // movement inside trench (x,y); per 1/60 s, scaled to the sim step
+      xAccel: 9.0,
+      yAccel: 7.5,
+      damp: 0.86,
+
+      // simulation
+      simHz: 60,           // fixed update rate; rendering interpolates between steps
+
+      // trench size (world units)
+      trenchNearHalfW: 320,
+      trenchFarHalfW: 120,
+      trenchHalfH: 140, // half height of trench (bigger = taller trench)
+
+      // trench course (see buildCourse); shapes are keyed to distance flown
+      courseStraight: 2500, // the round opens straight
+      courseKnotMin: 1800,  // distance between shape changes
+      courseKnotMax: 3200,
+      bendMax: 160,         // centreline shift per change (world x)...
+      bendLimit: 320,       // ...and overall
+      chokeWidth: 0.72,     // half width multiplier through a choke point
+      chamberWidth: 1.3,    // ...and a chamber
+      depthMin: 0.8,        // half height multiplier range
+      depthMax: 1.2,
+
+      // sit lower
+      sitLowerY: -55,      // starting ship y (lower)
+      padX: 92,
+      padY: 46,
+
+      // camera/projection
+      horizonBase: 105,
+      fov: 580,
+      yScale: 1.2,
+      pitchEffect: 40,     // look up/down effect
+      bankLook: 900,       // banks for the bend this far ahead...
+      bankAmount: 1.6,     // ...by this much per unit of centreline slope (rad)
+      bankMax: 0.14,
+
+      // drawing
+      farZ: 3000,
+      slices: 46,
+      segmentLen: 165,     // trench detail scroll loop length
+      rungEvery: 2,
+      panelEvery: 3,
+      lightEvery: 7,
+      speedLines: 16,
+      warnZ: 1500,         // obstacles further out draw as a warning outline
+
+      // weapons
+      laserCooldown: 0.18, // fewer lasers
+      laserAlternate: true,
+      missileCooldown: 0.80,
+
+      // targeting computer (missile lock)
+      lockDwell: 0.75,     // seconds on target to acquire
+      lockBox: 46,         // screen px from reticle centre that counts as "on"
+      lockHold: 0.35,      // grace before a lock drops off target
+      lockMinAhead: 320,   // don't lock things already on top of you
+      missileTurnRate: 2.2, // rad/s a locked missile can steer
+
+      // laser aim convergence
+      aimTargetZ: 1500,    // how far out the convergence aims
+
+      // hit tuning
+      hitRadius: 80,       // forgiving hit radius (you asked lasers were hard)
+      enemyZWindow: 90,    // z closeness window for hit test
+
+      // enemies (calmer)
+      enemySpawnMin: 1.6,
+      enemySpawnMax: 2.9,
+      enemyShotsChance: 0.24,
+      enemyShotCooldownMin: 1.5,
+      enemyShotCooldownMax: 2.6,
+
+      // the rest of the family (see enemyMix for when each shows up)
+      diverRange: 1300,    // starts its dive this far ahead of the ship
+      diverRush: 420,      // extra closing speed while diving
+      diverSteer: 210,     // x/y units per second it homes while diving
+      diverDamage: 50,     // shield on a ram
+      turretInset: 24,     // from the wall face
+
+      // boss rounds (see Boss / BOSS_PARTS)
+      bossEvery: 3,        // every Nth round has one...
+      bossArrive: 6400,    // ...turning up this far from the vent, and the run holds there until it's down
+      bossRange: 1250,     // it keeps this far ahead of the ship
+      bossSway: 60,        // side-to-side drift (world x) per phase past the first
+      bossGunEvery: 1.6,   // seconds between gun volleys, divided by the phase
+      bossFanEvery: 1.3,   // seconds between the core's spreads once the guns are gone
+      bossFanSpread: 90,   // shot vx step across a spread
+      bossBonus: 8000,     // on the core going down, plus 2000 per round
+
+      // power-ups (see Pickup / pickupMix); kept rare on purpose
+      pickupDropChance: 0.06, // a kill leaves one behind...
+      pickupFloatMin: 20,     // ...and one floats in the trench every so often (seconds)
+      pickupFloatMax: 36,
+      pickupRadius: 70,       // x/y reach from the ship...
+      pickupZWindow: 80,      // ...within this much z
+      pickupMissiles: 2,      // resupply, up to missilesMax
+      rapidFireTime: 8,       // laserCooldown drops to rapidFireCooldown for this long
+      rapidFireCooldown: 0.08,
+      shieldBoostTime: 6,     // nothing gets through the shield
+      magnetTime: 10,         // kills score double and pickups drift to the ship
+      magnetPull: 320,        // x/y units per second
+      livesMax: 9,            // extra lives stop here
+
+      // enemy AI: each skill is base + perRound * (round - 1), times
+      // enemySkill, capped at its max (1 unless given); see game.aiSkill
+      enemySkill: 1,
+      aimBase: 0.3,        // how hard shots are steered at the ship (0 straight down z, 1 dead on)
+      aimPerRound: 0.1,
+      leadBase: 0,         // how much of the ship's motion a shot predicts
+      leadPerRound: 0.15,
+      jinkBase: 0.2,       // chance to sidestep when the reticle settles on one
+      jinkPerRound: 0.1,
+      formationBase: 0,    // chance a spawn is a whole formation
+      formationPerRound: 0.08,
+      formationMax: 0.4,
+      jinkSpeed: 260,      // x units per second
+      jinkTime: 0.4,
+      jinkCooldown: 1.6,
+
+      // obstacles (see obstacleMix for when each shows up)
+      obstacleChance: 0.30,
+      obstacleFar: 2300,   // pipes spawn nearer; the rest need room for the warning
+      doorCloseFrom: 1800, // blast doors start closing this far ahead...
+      doorShutAt: 700,     // ...and are down to the gap here
+      doorGap: 0.34,       // gap half width, fraction of the trench half width
+      doorSwing: 0.3,      // how far the gap swings off its centre
+      doorSwingRate: 1.3,  // rad/s
+      barrierPeriod: 1.6,  // seconds per on/off cycle
+      barrierDuty: 0.55,   // fraction of the cycle it's on
+
+      // shield / hull
+      shieldMax: 100,
+      shieldRecharge: 7,        // per second...
+      shieldRechargeDelay: 2.5, // ...once this long has passed without a hit
+      hullMax: 3,               // hits taken with the shield down
+      laserDamage: 35,          // shield per enemy laser
+      obstacleDamage: 60,       // shield per obstacle strike
+      barrierDamage: 40,        // ...or energy barrier
+      invulnTime: 1.1,          // untouchable after any hit
+      respawnGrace: 2.5,        // ...and after a respawn
+
+      // chain kills
+      comboWindow: 2.6,    // seconds to land the next kill before the chain drops
+      comboMax: 8,         // multiplier cap
+
+      // player settings (overwritten by applySettings in game/main.js)
+      volume: 0.8,
+      sfxVolume: 0.9,
+      musicVolume: 0.6,
+      reducedMotion: false,
+      hudScale: 1,
+
+      // run / round progression
+      startLives: 3,
+      startMissiles: 3,
+      missilesMax: 6,           // the per-round refill stops here
+      speedStart: 600,
+      speedRamp: 40,            // added to the scroll speed each round...
+      speedMax: 920,            // ...up to this
+      spawnTighten: 0.02,       // seconds off the enemy spawn gap per round
+
+      // round finale (reactor vent)
+      trenchLengthBase: 24000,  // distance to the vent on round 1
+      trenchLengthPerRound: 2500,
+      spawnStopBefore: 3600,    // spawners go quiet this far from the vent
+      ventRadius: 70,           // x forgiveness for a missile into the vent
+      ventLockNear: 260,        // LOCK lights while the vent is this far ahead...
+      ventLockFar: 1400,        // ...up to this far
+      goAroundDistance: 5200,   // a miss sends you back this far
+      scriptAhead: 2600,        // authored spawns appear once their spot is this close
+      clearTime: 2.2,           // "VENT HIT" hold before the next round
+      deathTime: 1.2,           // explosion before the respawn
+    };
+
+    const TUNE_BASE = { ...TUNE };
+
+    // from the base values, so a replay can switch difficulty and back
+    function applyDifficulty(name) {
+      const d = DIFFICULTY[name] || DIFFICULTY.normal;
+      game.difficulty = DIFFICULTY[name] ? name : "normal";
+      TUNE.speedRamp = TUNE_BASE.speedRamp * d.speedRamp;
+      TUNE.spawnTighten = TUNE_BASE.spawnTighten * d.spawnTighten;
+      TUNE.startLives = d.lives;
+      TUNE.startMissiles = d.missiles;
+      TUNE.enemyShotsChance = TUNE_BASE.enemyShotsChance * d.enemyShotsChance;
+      TUNE.hitRadius = TUNE_BASE.hitRadius * d.hitRadius;
+      TUNE.enemySpawnMin = TUNE_BASE.enemySpawnMin * d.enemySpawn;
+      TUNE.enemySpawnMax = TUNE_BASE.enemySpawnMax * d.enemySpawn;
+      TUNE.obstacleChance = TUNE_BASE.obstacleChance * d.obstacleChance;
+      TUNE.enemySkill = TUNE_BASE.enemySkill * d.enemySkill;
+    }
+
+    // ============================================================
+    // Camera / projection (x,y,z -> screen)
+    // ============================================================
+    const cam = {
+      horizonY: TUNE.horizonBase,
+      fov: TUNE.fov,
+      pitch: 0, // derived from ship.y each frame
+
+      bank: 0,  // roll into the bend ahead, radians
+
+      // camera pitch derived from y (helps up/down feel)
+      follow(shipY) {
+        this.horizonY = TUNE.horizonBase;
+        this.pitch = -shipY * 0.28 * (TUNE.pitchEffect / 36);
+
+        const slope = (trenchCenterAt(game.shipZ + TUNE.bankLook) - trenchCenterAt(game.shipZ)) / TUNE.bankLook;
+        this.bank = TUNE.reducedMotion ? 0 : clamp(-slope * TUNE.bankAmount, -TUNE.bankMax, TUNE.bankMax);
+      },
+
+      // on screen, rolled by the bank; drawing only
+      project(x, y, z) {
+        const p = this.level(x, y, z);
+        if (!this.bank) return p;
+
+        // roll about the reticle's rest point
+        const cx = W * 0.5;
+        const cy = H * 0.42;
+        const c = Math.cos(this.bank);
+        const n = Math.sin(this.bank);
+        return { x: cx + (p.x - cx) * c - (p.y - cy) * n, y: cy + (p.x - cx) * n + (p.y - cy) * c, s: p.s };
+      },
+
+      // the same without the roll. The sim aims with this: the bank is
+      // turned off by Reduced Motion, which replays don't record.
+      level(x, y, z) {
+        const zz = Math.max(40, z);
+        const s = this.fov / (zz + this.fov);
+        const sx = W * 0.5 + x * s;
+
+        // near -> bottom, far -> horizon
+        let sy = this.horizonY + s * (H - this.horizonY);
+
+        // apply world y
+        sy -= y * s * TUNE.yScale;
+
+        // pitch affects far more than near
+        sy += this.pitch * (1 - s);
+
+        return { x: sx, y: sy, s };
+      },
+    };
+
+    // ============================================================
+    // Trench course (cross-section along the run)
+    // ============================================================
+    // game.course holds this round's knots (see sampleCourse). A point at
+    // world z sits at d = game.distance + (z - game.shipZ), so the shape
+    // scrolls with it.
+    function courseAt(z) {
+      return sampleCourse(game.course, game.distance + (z - game.shipZ));
+    }
+
+    function trenchHalfWAt(z) {
+      const t = clamp((z - game.shipZ) / (TUNE.farZ - game.shipZ), 0, 1);
+      return lerp(game.trenchNearHalfW, game.trenchFarHalfW, t) * courseAt(z).w;
+    }
+
+    function trenchCenterAt(z) {
+      return courseAt(z).cx;
+    }
+
+    function trenchHalfHAt(z) {
+      return TUNE.trenchHalfH * courseAt(z).h;
+    }
+
+    // an authored course (see game/rounds.js) as knots
+    function scriptCourse(list) {
+      const knots = list.map((k) => ({ d: k.at, cx: k.bend, w: k.width, h: k.depth }));
+      if (!knots.length || knots[0].d > 0) knots.unshift({ d: 0, cx: 0, w: 1, h: 1 });
+      return knots;
+    }
+
+    // One round's bends, choke points, chambers and depth changes; later
+    // rounds get rougher. The vent run-in is always straight and standard.
+    function buildCourse(round, rng, length) {
+      const rough = Math.min(1, 0.35 + round * 0.15);
+      const runIn = length - TUNE.spawnStopBefore;
+      const knots = [{ d: 0, cx: 0, w: 1, h: 1 }, { d: TUNE.courseStraight, cx: 0, w: 1, h: 1 }];
+
+      let d = TUNE.courseStraight;
+      let cx = 0;
+      for (;;) {
+        d += TUNE.courseKnotMin + rng() * (TUNE.courseKnotMax - TUNE.courseKnotMin);
+        if (d >= runIn) break;
+
+        cx = clamp(cx + (rng() * 2 - 1) * TUNE.bendMax * rough, -TUNE.bendLimit, TUNE.bendLimit);
+        const roll = rng();
+        const w = roll < 0.2 * rough ? TUNE.chokeWidth : roll > 1 - 0.15 * rough ? TUNE.chamberWidth : 1;
+        const h = rng() < 0.3 * rough ? lerp(TUNE.depthMin, TUNE.depthMax, rng()) : 1;
+        knots.push({ d, cx, w, h });
+      }
+      knots.push({ d: runIn, cx, w: 1, h: 1 });
+      return knots;
+    }
+
+    function reticlePos() {
+      return { x: W * 0.5, y: H * 0.42 + game.ship.y * 0.55 }; // follows a bit
+    }
+
+    // ============================================================
+    // Entities (x,y,z)
+    // ============================================================
+    class LaserShot {
+      constructor(x, y, z, owner) {
+        this.x = x; this.y = y; this.z = z;
+        this.owner = owner; // "player" | "enemy"
+        this.alive = true;
+        this.age = 0;
+
+        if (owner === "player") {
+          this.speed = 980;
+
+          // ✅ Converge toward "aim point" in the distance so hitting feels right
+          const targetZ = game.shipZ + TUNE.aimTargetZ;
+          const targetX = game.ship.x;
+          const targetY = game.ship.y; // aim follows your position
+
+          const dz = Math.max(1, targetZ - z);
+          const dx = targetX - x;
+          const dy = targetY - y;
+
+          this.vx = (dx / dz) * this.speed;
+          this.vy = (dy / dz) * this.speed;
+        } else {
+          this.speed = 720;
+          this.vx = 0; // set by Enemy.shoot
+          this.vy = 0;
+        }
+      }
+
+      update(dt) {
+        this.age += dt;
+
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+        this.z += (this.owner === "player" ? this.speed : -this.speed) * dt;
+
+        // world scroll
+        this.z -= (this.owner === "player" ? game.shotScroll() : game.scrollSpeed) * dt;
+
+        if (this.z > TUNE.farZ + 350) this.alive = false;
+        if (this.z < game.shipZ - 280) this.alive = false;
+      }
+    }
+
+    class MissileShot {
+      constructor(x, y, z) {
+        this.x = x; this.y = y; this.z = z;
+        this.alive = true;
+        this.speed = 720;
+        this.radius = 34;
+        this.trail = [];
+        this.trailMax = 14;
+
+        // fired during the vent approach -> dives for the trench floor
+        this.vent = game.ventLocked() ? game.vent : null;
+
+        // fired with an enemy locked -> homes with a limited turn rate
+        this.target = !this.vent && game.lock.locked ? game.lock.target : null;
+        this.dir = { x: 0, y: 0, z: 1 };
+      }
+      update(dt) {
+        this.trail.push({ x: this.x, y: this.y, z: this.z });
+        if (this.trail.length > this.trailMax) this.trail.shift();
+
+        if (this.vent && this.vent.alive) {
+          const gap = Math.max(1, this.vent.z - this.z);
+          this.y = lerp(this.y, this.vent.y, clamp((this.speed * dt) / gap, 0, 1));
+        }
+
+        if (this.target && this.target.alive) this.steer(dt);
+
+        this.x += this.dir.x * this.speed * dt;
+        this.y += this.dir.y * this.speed * dt;
+        this.z += this.dir.z * this.speed * dt;
+        this.z -= game.shotScroll() * dt;
+
+        if (this.z > TUNE.farZ + 350) this.alive = false;
+        if (this.z < game.shipZ - 280) this.alive = false;
+      }
+      steer(dt) {
+        const t = this.target;
+        const dx = t.x - this.x;
+        const dy = t.y - this.y;
+        const dz = t.z - this.z;
+        const len = Math.hypot(dx, dy, dz);
+        if (len < 1) return;
+
+        const want = { x: dx / len, y: dy / len, z: dz / len };
+        const dot = clamp(this.dir.x * want.x + this.dir.y * want.y + this.dir.z * want.z, -1, 1);
+        const angle = Math.acos(dot);
+        const k = angle > 1e-4 ? Math.min(1, (TUNE.missileTurnRate * dt) / angle) : 1;
+
+        const nx = lerp(this.dir.x, want.x, k);
+        const ny = lerp(this.dir.y, want.y, k);
+        const nz = lerp(this.dir.z, want.z, k);
+        const n = Math.hypot(nx, ny, nz) || 1;
+        this.dir = { x: nx / n, y: ny / n, z: nz / n };
+      }
+    }
+
+    // Interceptor, and the base for the rest of the family. Subclasses
+    // override move()/fire() and set their own hp, value and flags.
+    class Enemy {
+      constructor(x, y, z, rng) {
+        this.x = x; this.y = y; this.z = z;
+        this.vx = (rng() * 2 - 1) * 0.45;
+        this.vy = (rng() * 2 - 1) * 0.30;
+        this.hp = 2;
+        this.alive = true;
+        this.rng = rng;
+
+        this.kind = "interceptor";
+        this.value = 0;       // kill bonus on top of the per-hit points
+        this.size = 1;        // scales the hit radius
+        this.armored = false; // lasers glance off; only a missile hurts it
+        this.rams = false;    // hurts the ship on contact instead of shooting
+        this.aggression = 1;  // scales enemyShotsChance
+        this.evasive = true;  // jinks out from under the reticle
+
+        this.formation = null; // Formation it flies in until that breaks
+        this.slot = null;      // its offset in the formation
+        this.jinkCd = 0;
+        this.jinkTime = 0;
+        this.jinkVx = 0;
+
+        this.fireCd =
+          TUNE.enemyShotCooldownMin +
+          rng() * (TUNE.enemyShotCooldownMax - TUNE.enemyShotCooldownMin);
+      }
+
+      update(dt) {
+        this.move(dt);
+        this.z -= game.scrollSpeed * dt;
+        this.fire(dt);
+
+        // slipped past the ship
+        if (this.z < game.shipZ - 160) {
+          this.alive = false;
+          game.breakCombo();
+        }
+      }
+
+      // gentle tracking toward player
+      move(dt) {
+        if (this.formation && !this.formation.broken) {
+          this.x = this.formation.slotX(this);
+          this.y = this.formation.y + this.slot.y;
+          this.keepInside();
+          return;
+        }
+
+        const sx = clamp((game.ship.x - this.x) * 0.08, -0.25, 0.25);
+        const sy = clamp((game.ship.y - this.y) * 0.07, -0.22, 0.22);
+        this.vx = clamp(this.vx + sx * dt, -0.9, 0.9);
+        this.vy = clamp(this.vy + sy * dt, -0.75, 0.75);
+
+        this.x += this.vx * dt * 60;
+        this.y += this.vy * dt * 60;
+        this.evade(dt);
+        this.keepInside();
+      }
+
+      // within the local cross-section, clear of the walls
+      keepInside() {
+        const cx = trenchCenterAt(this.z);
+        const roomX = trenchHalfWAt(this.z) - 40 * this.size;
+        const roomY = trenchHalfHAt(this.z) - 30;
+        this.x = clamp(this.x, cx - roomX, cx + roomX);
+        this.y = clamp(this.y, -roomY, roomY);
+      }
+
+      // sidestep, away from the ship, when the reticle settles on it
+      evade(dt) {
+        if (!this.evasive) return;
+        this.jinkCd = Math.max(0, this.jinkCd - dt);
+        if (this.jinkTime > 0) {
+          this.jinkTime -= dt;
+          this.x += this.jinkVx * dt;
+          return;
+        }
+        if (game.lock.target !== this || this.jinkCd > 0) return;
+
+        this.jinkCd = TUNE.jinkCooldown;
+        if (this.rng() >= game.aiSkill("jink")) return;
+        this.jinkTime = TUNE.jinkTime;
+        this.jinkVx = (this.x > game.ship.x ? 1 : -1) * TUNE.jinkSpeed;
+      }
+
+      // calmer fire
+      fire(dt) {
+        this.fireCd -= dt;
+        if (this.fireCd <= 0 && this.z < game.shipZ + 1100 && this.z > game.shipZ + 260) {
+          this.fireCd =
+            TUNE.enemyShotCooldownMin +
+            this.rng() * (TUNE.enemyShotCooldownMax - TUNE.enemyShotCooldownMin);
+
+          if (this.rng() < TUNE.enemyShotsChance * this.aggression) this.shoot();
+        }
+      }
+
+      // aim at where the ship will be when the shot gets there
+      shoot() {
+        const shot = new LaserShot(this.x, this.y, this.z, "enemy");
+        const t = Math.max(0.05, (this.z - game.shipZ) / (shot.speed + game.scrollSpeed));
+        const lead = game.aiSkill("lead") * t * 60; // ship.vx/vy are per 1/60 s
+        const aim = game.aiSkill("aim");
+        shot.vx = ((game.ship.x + game.ship.vx * lead - this.x) / t) * aim;
+        shot.vy = ((game.ship.y + game.ship.vy * lead - this.y) / t) * aim;
+        game.enemyShots.push(shot);
+      }
+
+      // the shot glances off without doing damage
+      deflects(missile) {
+        return this.armored && !missile;
+      }
+
+      hit(dmg) {
+        this.hp -= dmg;
+        if (this.hp <= 0) this.alive = false;
+        if (this.formation) this.formation.scatter();
+      }
+    }
+
+    // drifts in like an interceptor, then commits to a dive at the ship
+    class Diver extends Enemy {
+      constructor(x, y, z, rng) {
+        super(x, y, z, rng);
+        this.kind = "diver";
+        this.hp = 1;
+        this.value = 150;
+        this.size = 0.8;
+        this.rams = true;
+        this.diving = false;
+      }
+      move(dt) {
+        if (!this.diving && this.z - game.shipZ < TUNE.diverRange) {
+          this.diving = true;
+          sound("dive");
+        }
+        if (!this.diving) {
+          super.move(dt);
+          return;
+        }
+        const step = TUNE.diverSteer * dt;
+        this.x += clamp(game.ship.x - this.x, -step, step);
+        this.y += clamp(game.ship.y - this.y, -step, step);
+        this.z -= TUNE.diverRush * dt;
+      }
+      fire() {}
+    }
+
+    // slow, heavily plated, fires often; lasers only scratch the paint
+    class Heavy extends Enemy {
+      constructor(x, y, z, rng) {
+        super(x, y, z, rng);
+        this.kind = "heavy";
+        this.hp = 2;
+        this.value = 600;
+        this.size = 1.5;
+        this.armored = true;
+        this.aggression = 2.2;
+        this.evasive = false;
+      }
+      move(dt) {
+        super.move(dt * 0.4);
+      }
+    }
+
+    // bolted to a wall (side -1 left, +1 right); rides the wall as it closes in
+    class Turret extends Enemy {
+      constructor(side, y, z, rng) {
+        super(0, y, z, rng);
+        this.kind = "turret";
+        this.side = side;
+        this.hp = 3;
+        this.value = 300;
+        this.size = 0.9;
+        this.aggression = 1.8;
+        this.x = this.wallX();
+      }
+      wallX() {
+        return trenchCenterAt(this.z) + this.side * (trenchHalfWAt(this.z) - TUNE.turretInset);
+      }
+      move() {
+        this.x = this.wallX();
+      }
+    }
+
+    // A boss ship's parts: offsets are fractions of the local half width /
+    // half height. Generators shield the core; the core going down ends it.
+    const BOSS_PARTS = [
+      { kind: "generator", ox: -0.62, oy: -0.1, hp: 6, value: 800, size: 1.1 },
+      { kind: "generator", ox: 0.62, oy: -0.1, hp: 6, value: 800, size: 1.1 },
+      { kind: "gun", ox: -0.36, oy: -0.5, hp: 4, value: 500, size: 0.8 },
+      { kind: "gun", ox: 0.36, oy: -0.5, hp: 4, value: 500, size: 0.8 },
+      { kind: "gun", ox: -0.36, oy: 0.38, hp: 4, value: 500, size: 0.8 },
+      { kind: "gun", ox: 0.36, oy: 0.38, hp: 4, value: 500, size: 0.8 },
+      { kind: "core", ox: 0, oy: -0.05, hp: 14, value: 0, size: 1 },
+    ];
+
+    // One destructible part bolted to the boss. It's an Enemy so lock-on,
+    // hits and kill scoring work as usual; the boss moves it and decides
+    // when it fires.
+    class Hardpoint extends Enemy {
+      constructor(boss, part, rng) {
+        super(boss.x, boss.y, boss.z, rng);
+        this.boss = boss;
+        this.kind = part.kind;
+        this.ox = part.ox;
+        this.oy = part.oy;
+        this.hp = part.hp;
+        this.hpMax = part.hp;
+        this.value = part.value;
+        this.size = part.size;
+        this.evasive = false;
+        this.place();
+      }
+
+      place() {
+        this.x = this.boss.x + this.ox * trenchHalfWAt(this.boss.z);
+        this.y = this.boss.y + this.oy * trenchHalfHAt(this.boss.z);
+        this.z = this.boss.z;
+      }
+
+      update() {
+        this.place();
+      }
+
+      // the core is untouchable while a generator stands
+      deflects() {
+        return this.kind === "core" && this.boss.standing("generator").length > 0;
+      }
+
+      // n aimed shots fanned out across x
+      spread(n) {
+        for (let i = 0; i < n; i++) {
+          this.shoot();
+          game.enemyShots[game.enemyShots.length - 1].vx += (i - (n - 1) / 2) * TUNE.bossFanSpread;
+        }
+      }
+    }
+
+    // The escort ship every bossEvery rounds. It flies in from the horizon,
+    // then holds station ahead while the run waits. Phases: 1 with the
+    // generators up (guns fire one at a time), 2 once they're down (every
+    // gun at once, twice as often, and it starts to sway), 3 with the guns
+    // gone too (the core fires wide spreads and it sways harder).
+    class Boss {
+      constructor(round, rng) {
+        this.rng = rng;
+        this.t = 0;
+        this.z = TUNE.farZ;
+        this.x = trenchCenterAt(this.z);
+        this.y = 0;
+        this.phase = 1;
+        this.gunCd = TUNE.bossGunEvery;
+        this.gunTurn = 0;
+        this.fanCd = TUNE.bossFanEvery;
+        this.bonus = TUNE.bossBonus + round * 2000;
+        this.parts = BOSS_PARTS.map((p) => new Hardpoint(this, p, rng));
+        this.hpMax = this.parts.reduce((sum, p) => sum + p.hpMax, 0);
+      }
+
+      standing(kind) {
+        return this.parts.filter((p) => p.alive && p.kind === kind);
+      }
+
+      // what's left across every part, for the HUD bar
+      hp() {
+        return this.parts.reduce((sum, p) => sum + (p.alive ? Math.max(0, p.hp) : 0), 0);
+      }
+
+      arrived() {
+        return this.z <= game.shipZ + TUNE.bossRange;
+      }
+
+      update(dt) {
+        this.t += dt;
+        this.z = Math.max(game.shipZ + TUNE.bossRange, this.z - game.scrollSpeed * dt);
+
+        const phase = 1 + (this.standing("generator").length ? 0 : 1) + (this.standing("gun").length ? 0 : 1);
+        if (phase > this.phase) sound("bossPhase");
+        this.phase = phase;
+
+        const sway = TUNE.bossSway * (this.phase - 1);
+        this.x = trenchCenterAt(this.z) + Math.sin(this.t * (0.5 + 0.25 * this.phase)) * sway;
+        this.y = Math.sin(this.t * 0.7) * 16;
+
+        if (this.arrived()) this.attack(dt);
+      }
+
+      attack(dt) {
+        const guns = this.standing("gun");
+        if (guns.length) {
+          this.gunCd -= dt;
+          if (this.gunCd > 0) return;
+          this.gunCd = TUNE.bossGunEvery / this.phase;
+          if (this.phase === 1) guns[this.gunTurn++ % guns.length].shoot();
+          else for (const g of guns) g.shoot();
+          return;
+        }
+
+        this.fanCd -= dt;
+        if (this.fanCd > 0) return;
+        this.fanCd = TUNE.bossFanEvery;
+        const core = this.standing("core")[0];
+        if (core) core.spread(this.phase === 3 ? 5 : 3);
+      }
+    }
+
+    // interceptors flying as one: the anchor drifts after the ship and each
+    // member holds its slot until any of them is hit, then they scatter
+    const FORMATIONS = {
+      // point first, wings trailing back
+      v: [[0, 0, 0], [-80, 10, 160], [80, 10, 160], [-160, 20, 320], [160, 20, 320]],
+      line: [[-150, 0, 0], [-50, 0, 0], [50, 0, 0], [150, 0, 0]],
+      // two pairs riding the walls (x is the side) that squeeze in as they close
+      pincer: [[-1, 30, 0], [-1, -30, 120], [1, 30, 0], [1, -30, 120]],
+    };
+
+    class Formation {
+      constructor(shape, y, z, rng) {
+        this.shape = shape;
+        this.x = 0;
+        this.y = y;
+        this.spread = 1; // pincer: 1 on the walls, down to 0.3 near the ship
+        this.broken = false;
+        this.members = [];
+
+        for (const [sx, sy, sz] of FORMATIONS[shape]) {
+          const e = new Enemy(0, y + sy, z + sz, rng);
+          e.formation = this;
+          e.slot = { x: sx, y: sy };
+          e.x = this.slotX(e);
+          this.members.push(e);
+        }
+      }
+
+      slotX(e) {
+        if (this.shape !== "pincer") return this.x + e.slot.x;
+        const wallX = trenchCenterAt(e.z) + e.slot.x * (trenchHalfWAt(e.z) - 80);
+        return lerp(this.x, wallX, this.spread);
+      }
+
+      update(dt) {
+        if (this.broken) return;
+        const lead = this.members.find((e) => e.alive);
+        if (!lead) {
+          this.broken = true;
+          return;
+        }
+
+        // slower than a lone interceptor so the shape stays readable
+        this.x += clamp(game.ship.x - this.x, -40 * dt, 40 * dt);
+        this.y += clamp(game.ship.y - this.y, -30 * dt, 30 * dt);
+        if (this.shape === "pincer") this.spread = clamp((lead.z - game.shipZ) / 2000, 0.3, 1);
+      }
+
+      // break off, each member peeling away from the middle
+      scatter() {
+        if (this.broken) return;
+        this.broken = true;
+        for (const e of this.members) {
+          const away = Math.sign(e.slot.x) || (e.rng() < 0.5 ? -1 : 1);
+          e.vx = away * 0.8;
+          e.vy = (e.rng() * 2 - 1) * 0.6;
+        }
+      }
+    }
+
+    // Anything in the trench that hurts to fly into. Subclasses say where
+    // they block in the cross-section (collidesWithShip) at their z.
+    class Obstacle {
+      constructor(z) {
+        this.z = z;
+        this.alive = true;
+        this.age = 0;
+        this.depth = 95; // hit test reaches this far either side of z
+        this.damage = TUNE.obstacleDamage;
+      }
+      update(dt) {
+        this.age += dt;
+        this.z -= game.scrollSpeed * dt;
+        if (this.z < game.shipZ - 280) this.alive = false;
+      }
+      atShip() {
+        return Math.abs(this.z - game.shipZ) <= this.depth;
+      }
+      collidesWithShip() {
+        return false;
+      }
+    }
+
+    class Pipe extends Obstacle {
+      constructor(side, y, z, protrude, thickness) {
+        super(z);
+        this.kind = "pipe";
+        this.side = side; // -1 left wall, +1 right wall
+        this.y = y;
+        this.protrude = protrude;
+        this.thickness = thickness;
+      }
+      collidesWithShip() {
+        if (!this.atShip()) return false;
+
+        const halfW = trenchHalfWAt(this.z);
+        const wallX = trenchCenterAt(this.z) + this.side * halfW;
+        const innerX = wallX - this.side * this.protrude;
+
+        const pipeMinX = Math.min(wallX, innerX);
+        const pipeMaxX = Math.max(wallX, innerX);
+
+        const shipX = game.ship.x;
+        const shipY = game.ship.y;
+
+        const withinX = shipX + game.shipHitR > pipeMinX && shipX - game.shipHitR < pipeMaxX;
+        const withinY = Math.abs(shipY - this.y) < 45;
+
+        return withinX && withinY;
+      }
+    }
+
+    // wall-to-wall walkway at height y: go over or under
+    class Catwalk extends Obstacle {
+      constructor(y, z, thickness) {
+        super(z);
+        this.kind = "catwalk";
+        this.y = y;
+        this.thickness = thickness;
+        this.depth = 50;
+      }
+      collidesWithShip() {
+        return this.atShip() && Math.abs(game.ship.y - this.y) < this.thickness / 2 + game.shipHitR;
+      }
+    }
+
+    // floor-to-rim girder at u (fraction of the half width): go left or right
+    class Beam extends Obstacle {
+      constructor(u, z, width) {
+        super(z);
+        this.kind = "beam";
+        this.u = u;
+        this.width = width;
+        this.depth = 45;
+      }
+      xAt() {
+        return trenchCenterAt(this.z) + this.u * trenchHalfWAt(this.z);
+      }
+      collidesWithShip() {
+        return this.atShip() && Math.abs(game.ship.x - this.xAt()) < this.width / 2 + game.shipHitR;
+      }
+    }
+
+    // two full-height panels slide in from the walls as it nears, leaving
+    // a gap that swings side to side
+    class BlastDoor extends Obstacle {
+      constructor(u, z, phase) {
+        super(z);
+        this.kind = "door";
+        this.u = u; // gap centre, fraction of the half width
+        this.phase = phase;
+        this.depth = 40;
+      }
+      // 0 open (far off) .. 1 shut down to the gap
+      closed() {
+        const ahead = this.z - game.shipZ;
+        return clamp((TUNE.doorCloseFrom - ahead) / (TUNE.doorCloseFrom - TUNE.doorShutAt), 0, 1);
+      }
+      // inner edges of the left and right panels, world x at this z
+      edges() {
+        const halfW = trenchHalfWAt(this.z);
+        const cx = trenchCenterAt(this.z);
+        const limit = 1 - TUNE.doorGap;
+        const centre = clamp(this.u + Math.sin(this.phase + this.age * TUNE.doorSwingRate) * TUNE.doorSwing, -limit, limit);
+        const k = this.closed();
+        return {
+          left: cx + lerp(-halfW, (centre - TUNE.doorGap) * halfW, k),
+          right: cx + lerp(halfW, (centre + TUNE.doorGap) * halfW, k),
+        };
+      }
+      collidesWithShip() {
+        if (!this.atShip()) return false;
+        const { left, right } = this.edges();
+        return game.ship.x - game.shipHitR < left || game.ship.x + game.shipHitR > right;
+      }
+    }
+
+    // field across one half of the trench ("low", "high", "left" or
+    // "right") that is only solid while it's on: dodge it or time it
+    class Barrier extends Obstacle {
+      constructor(half, z, phase) {
+        super(z);
+        this.kind = "barrier";
+        this.half = half;
+        this.phase = phase;
+        this.depth = 30;
+        this.damage = TUNE.barrierDamage;
+      }
+      on() {
+        return (this.age + this.phase) % TUNE.barrierPeriod < TUNE.barrierPeriod * TUNE.barrierDuty;
+      }
+      collidesWithShip() {
+        if (!this.atShip() || !this.on()) return false;
+        const { x, y } = game.ship;
+        const r = game.shipHitR;
+        const cx = trenchCenterAt(this.z);
+        if (this.half === "low") return y - r < 0;
+        if (this.half === "high") return y + r > 0;
+        if (this.half === "left") return x - r < cx;
+        return x + r > cx;
+      }
+    }
+
+    class Vent {
+      constructor(z, radius) {
+        this.x = trenchCenterAt(z);
+        this.y = -trenchHalfHAt(z); // sits on the trench floor
+        this.z = z;
+        this.radius = radius; // x forgiveness for the missile
+        this.alive = true;
+        this.hit = false;
+      }
+      update(dt) {
+        this.z -= game.scrollSpeed * dt;
+        if (this.z < game.shipZ - 120) this.alive = false;
+      }
+    }
+
+    // A power-up left by a kill or floating in the trench. It rides the
+    // scroll like an obstacle and is collected by flying through it.
+    class Pickup {
+      constructor(kind, x, y, z) {
+        this.kind = kind; // missiles | rapid | shield | magnet | life
+        this.x = x; this.y = y; this.z = z;
+        this.alive = true;
+        this.age = 0;
+      }
+      update(dt) {
+        this.age += dt;
+        if (game.effects.magnet > 0) {
+          const step = TUNE.magnetPull * dt;
+          this.x += clamp(game.ship.x - this.x, -step, step);
+          this.y += clamp(game.ship.y - this.y, -step, step);
+        }
+        this.z -= game.scrollSpeed * dt;
+        if (this.z < game.shipZ - 160) this.alive = false;
+      }
+      touchesShip() {
+        if (Math.abs(this.z - game.shipZ) > TUNE.pickupZWindow) return false;
+        const dx = this.x - game.ship.x;
+        const dy = this.y - game.ship.y;
+        return dx * dx + dy * dy < TUNE.pickupRadius * TUNE.pickupRadius;
+      }
+    }
+
+    // spawn weights per round: turrets from round 2, divers from 3, heavies from 4
+    function enemyMix(round) {
+      return [
+        ["interceptor", 10],
+        ["turret", round >= 2 ? 1 + round : 0],
+        ["diver", round >= 3 ? 1 + round * 0.5 : 0],
+        ["heavy", round >= 4 ? Math.min(4, round - 2) : 0],
+      ];
+    }
+
+    // catwalks and beams from round 2, blast doors from 3, barriers from 4
+    function obstacleMix(round) {
+      return [
+        ["pipe", 8],
+        ["catwalk", round >= 2 ? 3 : 0],
+        ["beam", round >= 2 ? 3 : 0],
+        ["door", round >= 3 ? 2 : 0],
+        ["barrier", round >= 4 ? 2 : 0],
+      ];
+    }
+
+    // pincers from round 3
+    function formationMix(round) {
+      return [
+        ["v", 3],
+        ["line", 3],
+        ["pincer", round >= 3 ? 3 : 0],
+      ];
+    }
+
+    // nothing the ship is already full of; extra lives are the rarest
+    function pickupMix() {
+      return [
+        ["missiles", game.missiles < TUNE.missilesMax ? 4 : 0],
+        ["rapid", 3],
+        ["shield", 2],
+        ["magnet", 2],
+        ["life", game.lives < TUNE.livesMax ? 0.6 : 0],
+      ];
+    }
+
+    function pickKind(mix, rng) {
+      const total = mix.reduce((sum, [, w]) => sum + w, 0);
+      let r = rng() * total;
+      for (const [kind, w] of mix) {
+        r -= w;
+        if (r < 0) return kind;
+      }
+      return mix[0][0];
+    }
+
+    // ============================================================
+    // Game state
+    // ============================================================
+    const game = {
+      state: "title",
+      seed: options.seed === undefined ? DEFAULT_SEED : options.seed, // per-round layouts derive from this (replays store it)
+      difficulty: "normal", // DIFFICULTY key, set by applyDifficulty
+      rng: makeRng(1337),
+      t: 0,
+      prevT: 0, // t before the last step (render interpolation)
+
+      // world
+      shipZ: 160,
+      trenchNearHalfW: TUNE.trenchNearHalfW,
+      trenchFarHalfW: TUNE.trenchFarHalfW,
+      scrollSpeed: TUNE.speedStart,
+      course: [{ d: 0, cx: 0, w: 1, h: 1 }], // see courseAt
+
+      // ship (sits lower by default)
+      ship: { x: 0, y: TUNE.sitLowerY, vx: 0, vy: 0 },
+      shipHitR: 42,
+
+      // gameplay
+      round: 1,
+      score: 0,
+      lives: 3,
+      missiles: 3,
+      shield: TUNE.shieldMax,
+      shieldDelay: 0,     // recharge waits until this runs out
+      hull: TUNE.hullMax,
+      invuln: 0,          // i-frames left (ship flickers)
+      combo: 1,           // score multiplier
+      comboTimer: 0,      // time left to extend the chain
+      effects: { rapid: 0, shield: 0, magnet: 0 }, // power-up time left
+
+      // weapons
+      laserCd: 0,
+      missileCd: 0,
+      laserSide: -1,
+
+      // entities
+      enemies: [],
+      formations: [], // Formation (members are in enemies too)
+      obstacles: [],   // Pipe, Catwalk, Beam, BlastDoor, Barrier
+      playerShots: [], // LaserShot and MissileShot
+      enemyShots: [],  // LaserShot (enemy)
+      pickups: [],     // Pickup
+
+      // spawners
+      enemyTimer: 0.9,
+      obstacleTimer: 1.4,
+      pickupTimer: 0,
+
+      // round finale
+      distance: 0,        // flown this round
+      trenchLength: TUNE.trenchLengthBase,
+      vent: null,         // Vent once the finale is in view
+      boss: null,         // Boss while one is up
+      bossDone: false,    // this round's boss is beaten
+      def: null,          // this round's authored definition, null if procedural
+      cue: 0,             // next authored spawn
+      clearTimer: 0,
+      deathTimer: 0,      // "dying": explosion still playing
+
+      // targeting computer
+      lock: { target: null, dwell: 0, locked: false, lost: 0 },
+
+      ventLocked() {
+        if (!this.vent || !this.vent.alive || this.vent.hit) return false;
+        const ahead = this.vent.z - this.shipZ;
+        return ahead >= TUNE.ventLockNear && ahead <= TUNE.ventLockFar;
+      },
+
+      // everything that moves, for render interpolation
+      forEachMover(fn) {
+        fn(this.ship);
+        for (const e of this.enemies) fn(e);
+        for (const o of this.obstacles) fn(o);
+        for (const s of this.playerShots) fn(s);
+        for (const s of this.enemyShots) fn(s);
+        for (const p of this.pickups) fn(p);
+        if (this.vent) fn(this.vent);
+        if (this.boss) fn(this.boss);
+      },
+
+      // remember where things were before this step
+      snapshot() {
+        this.prevT = this.t;
+        this.forEachMover((o) => {
+          const p = o.prev || (o.prev = {});
+          p.x = o.x;
+          p.y = o.y;
+          p.z = o.z;
+        });
+      },
+
+      togglePause() {
+        if (this.state === "playing") this.state = "paused";
+        else if (this.state === "paused") this.state = "playing";
+      },
+
+      newGame() {
+        this.round = 1;
+        this.score = 0;
+        this.lives = TUNE.startLives;
+        this.missiles = TUNE.startMissiles;
+
+        this.scrollSpeed = TUNE.speedStart;
+        this.trenchNearHalfW = TUNE.trenchNearHalfW;
+        this.trenchFarHalfW = TUNE.trenchFarHalfW;
+
+        this.resetRound();
+        this.state = "playing";
+        this.report("roundStarted");
+      },
+
+      resetRound() {
+        this.ship.x = 0;
+        this.ship.y = TUNE.sitLowerY; // ✅ sit lower every round
+        this.ship.vx = 0;
+        this.ship.vy = 0;
+
+        this.rng = makeRng(this.seed + this.round * 101);
+        // a stream of its own, so drops don't shift the enemy waves
+        this.pickupRng = makeRng(this.seed + this.round * 101 + 77);
+
+        this.enemies = [];
+        this.formations = [];
+        this.obstacles = [];
+        this.playerShots = [];
+        this.enemyShots = [];
+        this.pickups = [];
+
+        this.enemyTimer = 1.0;
+        this.obstacleTimer = 1.5;
+        this.pickupTimer = this.pickupEvery();
+
+        this.distance = 0;
+        this.def = script[this.round - 1] || null;
+        this.cue = 0;
+        if (this.def) {
+          this.trenchLength = this.def.length;
+          this.scrollSpeed = this.def.speed;
+        } else {
+          this.trenchLength = TUNE.trenchLengthBase + (this.round - 1) * TUNE.trenchLengthPerRound;
+        }
+        this.course =
+          this.def && this.def.course
+            ? scriptCourse(this.def.course)
+            : buildCourse(this.round, makeRng(this.seed + this.round * 101 + 55), this.trenchLength);
+        this.vent = null;
+        this.boss = null;
+        this.bossDone = false;
+
+        this.clearLock();
+        this.breakCombo();
+        this.repairShip();
+        this.invuln = 0;
+        this.effects = { rapid: 0, shield: 0, magnet: 0 };
+
+        this.laserCd = 0;
+        this.missileCd = 0;
+        this.laserSide = -1;
+
+        if (!this.def) {
+          const count = 1 + Math.min(2, Math.floor(this.round / 2));
+          for (let i = 0; i < count; i++) this.spawnEnemy(true);
+        }
+        this.snapshot(); // no blending across the reset
+      },
+
+      repairShip() {
+        this.shield = TUNE.shieldMax;
+        this.shieldDelay = 0;
+        this.hull = TUNE.hullMax;
+      },
+
+      // the shield soaks hits; with it down each hit costs hull, and
+      // the last hull point costs a life
+      damageShip(amount) {
+        if (this.invuln > 0) return;
+        if (this.effects.shield > 0) {
+          // the boost shrugs it off; the i-frames just keep it from ringing every step
+          this.invuln = TUNE.invulnTime;
+          sound("shieldHit");
+          fx("shieldHit", this.ship.x, this.ship.y, this.shipZ);
+          return;
+        }
+        this.breakCombo();
+        this.invuln = TUNE.invulnTime;
+        this.shieldDelay = TUNE.shieldRechargeDelay;
+
+        if (this.shield > 0) {
+          this.shield = Math.max(0, this.shield - amount);
+          sound("shieldHit");
+          fx("shieldHit", this.ship.x, this.ship.y, this.shipZ);
+        } else {
+          this.hull -= 1;
+          if (this.hull <= 0) {
+            this.loseLife();
+            return;
+          }
+          sound("hullHit");
+          fx("hullHit", this.ship.x, this.ship.y, this.shipZ);
+        }
+        this.report("shipDamaged", { shield: this.shield, hull: this.hull });
+      },
+
+      // blow up, then respawn in place (or end the run) once the
+      // explosion has played out
+      loseLife() {
+        sound("crash");
+        sound("lifeLost");
+        fx("shipHit", this.ship.x, this.ship.y, this.shipZ);
+        this.breakCombo();
+        this.lives -= 1;
+        this.report("lifeLost", { lives: this.lives, cause: "crash" });
+        this.deathTimer = TUNE.deathTime;
+        this.state = "dying";
+      },
+
+      // back where it happened with a fresh ship, briefly untouchable
+      respawn() {
+        this.ship.vx = 0;
+        this.ship.vy = 0;
+        this.repairShip();
+        this.invuln = TUNE.respawnGrace;
+        this.enemyShots = [];
+        this.clearLock();
+        this.snapshot();
+        this.state = "playing";
+      },
+
+      // the sim is mid-run (ticks are recorded, input is read)
+      running() {
+        return this.state === "playing" || this.state === "cleared" || this.state === "dying";
+      },
+
+      clearLock() {
+        this.lock.target = null;
+        this.lock.dwell = 0;
+        this.lock.locked = false;
+        this.lock.lost = 0;
+      },
+
+      // dwell the reticle on an enemy to lock it for the next missile
+      updateLock(dt) {
+        const lock = this.lock;
+        const ret = reticlePos();
+
+        let best = null;
+        let bestD = TUNE.lockBox;
+        for (const e of this.enemies) {
+          if (!e.alive || e.z < this.shipZ + TUNE.lockMinAhead) continue;
+          const p = cam.level(e.x - this.ship.x, e.y - this.ship.y, e.z);
+          const d = Math.hypot(p.x - ret.x, p.y - ret.y);
+          if (d < bestD) {
+            bestD = d;
+            best = e;
+          }
+        }
+
+        if (lock.target && (!lock.target.alive || lock.target.z < this.shipZ + TUNE.lockMinAhead)) {
+          this.clearLock();
+        }
+
+        if (best && best === lock.target) {
+          lock.lost = 0;
+          lock.dwell += dt;
+          if (lock.dwell >= TUNE.lockDwell && !lock.locked) {
+            lock.locked = true;
+            sound("lock");
+          }
+        } else if (lock.target) {
+          // off target: hold briefly, then let go (or switch to the new one)
+          lock.lost += dt;
+          if (lock.lost > TUNE.lockHold || (best && !lock.locked)) {
+            this.clearLock();
+            if (best) lock.target = best;
+          }
+        } else if (best) {
+          lock.target = best;
+        }
+      },
+
+      // a kill inside the window raises the multiplier; the first one starts the chain
+      chainKill() {
+        this.combo = this.comboTimer > 0 ? Math.min(TUNE.comboMax, this.combo + 1) : 1;
+        this.comboTimer = TUNE.comboWindow;
+      },
+
+      breakCombo() {
+        this.combo = 1;
+        this.comboTimer = 0;
+      },
+
+      report(type, extra) {
+        emit(type, { score: this.score, round: this.round, ...extra });
+      },
+
+      // the page may move on from here (e.g. to initials entry)
+      gameOver() {
+        this.state = "gameover";
+        this.report("gameOver");
+      },
+
+      // drop into a round part-way through (the level editor's test-play);
+      // authored spawns already in view are placed straight away
+      startAt(round, distance) {
+        this.round = round;
+        this.score = 0;
+        this.lives = TUNE.startLives;
+        this.missiles = TUNE.startMissiles;
+        this.scrollSpeed = Math.min(TUNE.speedMax, TUNE.speedStart + (round - 1) * TUNE.speedRamp);
+        this.trenchNearHalfW = TUNE.trenchNearHalfW;
+        this.trenchFarHalfW = TUNE.trenchFarHalfW;
+
+        this.resetRound();
+        this.distance = clamp(distance, 0, this.trenchLength - TUNE.ventLockFar);
+        this.ship.x = trenchCenterAt(this.shipZ);
+        if (this.def) {
+          this.scrollSpeed = scriptSpeed(this.def, this.distance);
+          this.rewindScript();
+          this.runScript();
+        }
+        this.snapshot();
+        this.state = "playing";
+        this.report("roundStarted");
+      },
+
+      nextRound() {
+        this.round += 1;
+        this.scrollSpeed = Math.min(TUNE.speedMax, this.scrollSpeed + TUNE.speedRamp);
+        this.missiles = Math.min(TUNE.missilesMax, this.missiles + 1); // small refill each round
+        this.resetRound();
+        this.state = "playing";
+        this.report("roundStarted");
+      },
+
+      roundBonus() {
+        const authored = this.def ? this.def.finale.bonus : null;
+        return authored === null ? 1000 * this.round : authored;
+      },
+
+      ventHit() {
+        sound("ventHit");
+        const bonus = this.roundBonus();
+        this.vent.hit = true;
+        this.score += bonus;
+        this.clearTimer = TUNE.clearTime;
+        this.state = "cleared";
+        this.report("roundCleared", { bonus });
+      },
+
+      // how fast the player's shots fall back with the scroll: a boss keeps
+      // pace with the ship, so while one is up they close on it at full speed
+      shotScroll() {
+        return this.boss ? 0 : this.scrollSpeed;
+      },
+
+      bossRound() {
+        return this.round % TUNE.bossEvery === 0;
+      },
+
+      startBoss() {
+        this.boss = new Boss(this.round, this.rng);
+        this.enemies.push(...this.boss.parts);
+        sound("bossAlarm");
+        this.report("bossArrived");
+      },
+
+      // the core is down: the rest of it goes with it, then on to the vent
+      bossDefeated() {
+        const boss = this.boss;
+        for (const p of boss.parts) {
+          if (p.alive) fx("debris", p.x, p.y, p.z);
+          p.alive = false;
+        }
+        this.enemies = this.enemies.filter((e) => e.alive);
+        this.boss = null;
+        this.bossDone = true;
+        this.score += boss.bonus;
+        sound("ventHit");
+        fx("flash", boss.x, boss.y, boss.z);
+        this.report("bossDefeated", { bonus: boss.bonus });
+      },
+
+      // vent slipped past un-hit: go around for another approach.
+      // Costs a life only if there was nothing left to fire.
+      goAround() {
+        this.vent = null;
+        this.distance = this.trenchLength - TUNE.goAroundDistance;
+        this.enemyShots = [];
+        if (this.def) this.rewindScript();
+
+        if (this.missiles <= 0) {
+          sound("lifeLost");
+          this.breakCombo();
+          this.lives -= 1;
+          this.report("lifeLost", { lives: this.lives, cause: "goAround" });
+          if (this.lives <= 0) {
+            this.gameOver();
+            return;
+          }
+          this.missiles = 1;
+        }
+      },
+
+      // how good the enemy pilots are this round (see TUNE.aimBase)
+      aiSkill(name) {
+        const v = TUNE[name + "Base"] + TUNE[name + "PerRound"] * (this.round - 1);
+        const max = TUNE[name + "Max"] === undefined ? 1 : TUNE[name + "Max"];
+        return clamp(v * TUNE.enemySkill, 0, max);
+      },
+
+      pickupEvery() {
+        return TUNE.pickupFloatMin + this.pickupRng() * (TUNE.pickupFloatMax - TUNE.pickupFloatMin);
+      },
+
+      // one floating ahead, somewhere in the middle of the trench
+      spawnPickup() {
+        const z = this.shipZ + TUNE.obstacleFar + this.pickupRng() * 400;
+        const x = trenchCenterAt(z) + (this.pickupRng() * 2 - 1) * (trenchHalfWAt(z) - 110);
+        const y = (this.pickupRng() * 2 - 1) * trenchHalfHAt(z) * 0.5;
+        this.pickups.push(new Pickup(pickKind(pickupMix(), this.pickupRng), x, y, z));
+      },
+
+      // now and then a kill leaves one where it was
+      dropPickup(e) {
+        if (this.pickupRng() >= TUNE.pickupDropChance) return;
+        this.pickups.push(new Pickup(pickKind(pickupMix(), this.pickupRng), e.x, e.y, e.z));
+      },
+
+      collect(p) {
+        p.alive = false;
+        if (p.kind === "missiles") this.missiles = Math.min(TUNE.missilesMax, this.missiles + TUNE.pickupMissiles);
+        else if (p.kind === "rapid") this.effects.rapid = TUNE.rapidFireTime;
+        else if (p.kind === "shield") {
+          this.effects.shield = TUNE.shieldBoostTime;
+          this.repairShip();
+        } else if (p.kind === "magnet") this.effects.magnet = TUNE.magnetTime;
+        else if (p.kind === "life") this.lives = Math.min(TUNE.livesMax, this.lives + 1);
+        sound("pickup");
+        fx("pickup", p.x, p.y, p.z);
+        this.report("pickupCollected", { kind: p.kind, x: p.x, y: p.y, z: p.z });
+      },
+
+      spawnFormation() {
+        const shape = pickKind(formationMix(this.round), this.rng);
+        const z = this.shipZ + 1900 + this.rng() * 500;
+        const y = (this.rng() * 2 - 1) * (trenchHalfHAt(z) * 0.35);
+        this.addFormation(shape, y, z);
+      },
+
+      addFormation(shape, y, z) {
+        const f = new Formation(shape, y, z, this.rng);
+        this.formations.push(f);
+        this.enemies.push(...f.members);
+      },
+
+      // next authored spawn is the first one not yet behind us
+      rewindScript() {
+        const next = this.def.spawns.findIndex((s) => s.at >= this.distance);
+        this.cue = next < 0 ? this.def.spawns.length : next;
+      },
+
+      // authored spawns come in as their spot gets scriptAhead away
+      runScript() {
+        const spawns = this.def.spawns;
+        while (this.cue < spawns.length && spawns[this.cue].at - this.distance <= TUNE.scriptAhead) {
+          const s = spawns[this.cue++];
+          this.placeSpawn(s, this.shipZ + (s.at - this.distance));
+        }
+      },
+
+      // one authored spawn at z; x/y are fractions of the local cross-section
+      placeSpawn(s, z) {
+        const cx = trenchCenterAt(z);
+        const y = s.y * (trenchHalfHAt(z) - 30);
+        const side = s.side === "left" ? -1 : 1;
+        const at = () => cx + s.x * (trenchHalfWAt(z) - 40);
+
+        switch (s.type) {
+          case "interceptor":
+            this.enemies.push(new Enemy(at(), y, z, this.rng));
+            break;
+          case "diver":
+            this.enemies.push(new Diver(at(), y, z, this.rng));
+            break;
+          case "heavy":
+            this.enemies.push(new Heavy(at(), y, z, this.rng));
+            break;
+          case "turret":
+            this.enemies.push(new Turret(side, y, z, this.rng));
+            break;
+          case "formation":
+            this.addFormation(s.shape, y, z);
+            break;
+          case "pipe":
+            this.obstacles.push(new Pipe(side, y, z, s.length, 18));
+            break;
+          case "catwalk":
+            this.obstacles.push(new Catwalk(s.y * trenchHalfHAt(z), z, s.thickness));
+            break;
+          case "beam":
+            this.obstacles.push(new Beam(s.x, z, s.width));
+            break;
+          case "door":
+            this.obstacles.push(new BlastDoor(s.x, z, 0));
+            break;
+          case "barrier":
+            this.obstacles.push(new Barrier(s.half, z, 0));
+            break;
+        }
+      },
+
+      // the round start is always interceptors; later spawns roll enemyMix
+      spawnEnemy(prefill = false) {
+        if (!prefill && this.rng() < this.aiSkill("formation")) {
+          this.spawnFormation();
+          return;
+        }
+        const kind = prefill ? "interceptor" : pickKind(enemyMix(this.round), this.rng);
+        const z = prefill ? this.shipZ + 900 + this.rng() * 900 : this.shipZ + 1600 + this.rng() * 950;
+        const y = (this.rng() * 2 - 1) * (trenchHalfHAt(z) * 0.50) - 10;
+
+        if (kind === "turret") {
+          const side = this.rng() < 0.5 ? -1 : 1;
+          this.enemies.push(new Turret(side, y, z, this.rng));
+          // from round 5 they come in facing pairs
+          if (this.round >= 5) this.enemies.push(new Turret(-side, -y, z, this.rng));
+          return;
+        }
+
+        const halfW = this.trenchNearHalfW;
+        const margin = 95;
+        const x = trenchCenterAt(z) + (this.rng() * 2 - 1) * (halfW - margin);
+        const Kind = kind === "diver" ? Diver : kind === "heavy" ? Heavy : Enemy;
+        this.enemies.push(new Kind(x, y, z, this.rng));
+      },
+
+      spawnObstacle() {
+        const kind = pickKind(obstacleMix(this.round), this.rng);
+        if (kind === "pipe") {
+          const side = this.rng() < 0.5 ? -1 : 1;
+          const z = this.shipZ + 1500 + this.rng() * 1100;
+          const y = (this.rng() * 2 - 1) * (trenchHalfHAt(z) * 0.55);
+          const protrude = 60 + this.rng() * 120;
+          const thickness = 10 + this.rng() * 16;
+          this.obstacles.push(new Pipe(side, y, z, protrude, thickness));
+          return;
+        }
+
+        const z = this.shipZ + TUNE.obstacleFar + this.rng() * 500;
+        if (kind === "catwalk") {
+          this.obstacles.push(new Catwalk((this.rng() * 2 - 1) * 40, z, 18 + this.rng() * 10));
+        } else if (kind === "beam") {
+          this.obstacles.push(new Beam((this.rng() * 2 - 1) * 0.5, z, 24 + this.rng() * 12));
+        } else if (kind === "door") {
+          this.obstacles.push(new BlastDoor((this.rng() * 2 - 1) * 0.3, z, this.rng() * Math.PI * 2));
+        } else {
+          const half = ["low", "high", "left", "right"][Math.floor(this.rng() * 4)];
+          this.obstacles.push(new Barrier(half, z, this.rng() * TUNE.barrierPeriod));
+        }
+      },
+
+      fireLaser() {
+        if (this.laserCd > 0) return;
+        this.laserCd = this.effects.rapid > 0 ? TUNE.rapidFireCooldown : TUNE.laserCooldown;
+
+        // single alternating shot (less spam)
+        const side = TUNE.laserAlternate ? (this.laserSide *= -1) : -1;
+
+        const gunX = this.ship.x + side * 78;
+        const gunY = this.ship.y - 6;
+        const z0 = this.shipZ + 70;
+
+        this.playerShots.push(new LaserShot(gunX, gunY, z0, "player"));
+        sound("laser");
+      },
+
+      fireMissile() {
+        if (this.missileCd > 0) return;
+        if (this.missiles <= 0) return;
+
+        this.missiles -= 1;
+        this.missileCd = TUNE.missileCooldown;
+
+        const z0 = this.shipZ + 85;
+        const m = new MissileShot(this.ship.x, this.ship.y, z0);
+        this.playerShots.push(m);
+        sound("missile");
+        this.report("missileFired", { atVent: !!m.vent });
+        if (this.lock.locked) this.clearLock(); // one missile per lock
+      },
+    };
+
+    // ============================================================
+    // Update
+    // ============================================================
+    // input: { ax, ay, flags } for this tick; ax/ay in -1..1
+    function update(dt, input) {
+      game.snapshot();
+      if (game.state === "cleared") {
+        game.t += dt;
+        game.clearTimer -= dt;
+        if (game.clearTimer <= 0) game.nextRound();
+        return;
+      }
+      if (game.state === "dying") {
+        game.t += dt;
+        game.deathTimer -= dt;
+        if (game.deathTimer > 0) return;
+        if (game.lives <= 0) game.gameOver();
+        else game.respawn();
+        return;
+      }
+      if (game.state !== "playing") return;
+
+      game.t += dt;
+
+      game.laserCd = Math.max(0, game.laserCd - dt);
+      game.missileCd = Math.max(0, game.missileCd - dt);
+      game.comboTimer = Math.max(0, game.comboTimer - dt);
+      if (game.comboTimer === 0) game.combo = 1;
+
+      game.invuln = Math.max(0, game.invuln - dt);
+      game.shieldDelay = Math.max(0, game.shieldDelay - dt);
+      if (game.shieldDelay === 0) game.shield = Math.min(TUNE.shieldMax, game.shield + TUNE.shieldRecharge * dt);
+      for (const k in game.effects) game.effects[k] = Math.max(0, game.effects[k] - dt);
+
+      // movement
+      const ax = input.ax;
+      const ay = input.ay;
+
+      // accel/damp are tuned per 60 Hz frame; k scales them to this step
+      const k = dt * 60;
+      const damp = Math.pow(TUNE.damp, k);
+      game.ship.vx = (game.ship.vx + ax * TUNE.xAccel * k) * damp;
+      game.ship.vy = (game.ship.vy + ay * TUNE.yAccel * k) * damp;
+
+      game.ship.x += game.ship.vx * k;
+      game.ship.y += game.ship.vy * k;
+
+      // clamp inside the local cross-section
+      const halfW = trenchHalfWAt(game.shipZ);
+      const halfH = trenchHalfHAt(game.shipZ);
+      const cx = trenchCenterAt(game.shipZ);
+      game.ship.x = clamp(game.ship.x, cx - halfW + TUNE.padX, cx + halfW - TUNE.padX);
+      game.ship.y = clamp(game.ship.y, -halfH + TUNE.padY, +halfH - TUNE.padY);
+
+      cam.follow(game.ship.y);
+      game.updateLock(dt);
+
+      // fire controls
+      if (input.flags & IN_FIRE) game.fireLaser();
+      if (input.flags & IN_MISSILE) game.fireMissile();
+
+      // progress toward the vent; a boss holds the run where it turned up
+      if (game.def) game.scrollSpeed = scriptSpeed(game.def, game.distance);
+      if (!game.boss) game.distance += game.scrollSpeed * dt;
+      const remaining = game.trenchLength - game.distance;
+      if (!game.boss && !game.bossDone && game.bossRound() && remaining <= TUNE.bossArrive) game.startBoss();
+      const spawning = remaining > TUNE.spawnStopBefore && !game.boss;
+
+      if (!game.vent && remaining <= TUNE.farZ - game.shipZ) {
+        const radius = (game.def && game.def.finale.ventRadius) || TUNE.ventRadius;
+        game.vent = new Vent(game.shipZ + remaining, radius);
+      }
+
+      if (game.def) {
+        if (!game.boss) game.runScript();
+      } else {
+        // spawn enemies (calm)
+        const enemyEvery = clamp(
+          (TUNE.enemySpawnMin + (TUNE.enemySpawnMax - TUNE.enemySpawnMin) * game.rng()) - game.round * TUNE.spawnTighten,
+          0.95,
+          3.2
+        );
+        game.enemyTimer -= dt;
+        if (game.enemyTimer <= 0) {
+          game.enemyTimer += enemyEvery;
+          if (spawning) game.spawnEnemy(false);
+        }
+
+        // spawn obstacles
+        game.obstacleTimer -= dt;
+        const obstacleEvery = clamp(2.9 - game.round * 0.05, 1.5, 2.9);
+        if (game.obstacleTimer <= 0) {
+          game.obstacleTimer += obstacleEvery;
+          if (spawning && game.rng() < TUNE.obstacleChance) game.spawnObstacle();
+        }
+      }
+
+      // the odd floating pickup, authored rounds included
+      game.pickupTimer -= dt;
+      if (game.pickupTimer <= 0) {
+        game.pickupTimer += game.pickupEvery();
+        if (spawning) game.spawnPickup();
+      }
+
+      // update entities
+      if (game.boss) game.boss.update(dt);
+      for (const f of game.formations) f.update(dt);
+      for (const e of game.enemies) e.update(dt);
+      for (const o of game.obstacles) o.update(dt);
+      for (const s of game.playerShots) s.update(dt);
+      for (const s of game.enemyShots) s.update(dt);
+      for (const p of game.pickups) p.update(dt);
+      if (game.vent) game.vent.update(dt);
+
+      game.enemies = game.enemies.filter((e) => e.alive);
+      game.formations = game.formations.filter((f) => !f.broken);
+      game.obstacles = game.obstacles.filter((o) => o.alive);
+      game.playerShots = game.playerShots.filter((s) => s.alive);
+      game.enemyShots = game.enemyShots.filter((s) => s.alive);
+      game.pickups = game.pickups.filter((p) => p.alive);
+
+      // pickups vs ship
+      for (const p of game.pickups) {
+        if (p.alive && p.touchesShip()) game.collect(p);
+      }
+
+      // collisions: obstacles vs ship
+      for (const o of game.obstacles) {
+        if (o.collidesWithShip()) game.damageShip(o.damage);
+      }
+
+      // collisions: divers vs ship (the diver is spent either way)
+      for (const e of game.enemies) {
+        if (!e.alive || !e.rams || Math.abs(e.z - game.shipZ) >= 70) continue;
+        const dx = e.x - game.ship.x;
+        const dy = e.y - game.ship.y;
+        if (dx * dx + dy * dy < (game.shipHitR + 30 * e.size) ** 2) {
+          e.alive = false;
+          sound("destroy");
+          fx("debris", e.x, e.y, e.z);
+          game.damageShip(TUNE.diverDamage);
+        }
+      }
+
+      // collisions: enemy shots vs ship (absorbed either way)
+      for (const es of game.enemyShots) {
+        if (!es.alive || Math.abs(es.z - game.shipZ) >= 120) continue;
+        const dx = es.x - game.ship.x;
+        const dy = es.y - game.ship.y;
+        if (dx * dx + dy * dy < (game.shipHitR * 0.95) ** 2) {
+          es.alive = false;
+          game.damageShip(TUNE.laserDamage);
+        }
+      }
+      if (game.state !== "playing") return; // hull gone
+
+      // ✅ player shots hit enemies (more forgiving + uses x/y aim)
+      for (const ps of game.playerShots) {
+        for (const e of game.enemies) {
+          if (!ps.alive || !e.alive) continue;
+          if (Math.abs(ps.z - e.z) < TUNE.enemyZWindow) {
+            const dx = ps.x - e.x;
+            const dy = ps.y - e.y;
+            const r = TUNE.hitRadius * e.size;
+            if (dx * dx + dy * dy < r * r) {
+              const missile = ps instanceof MissileShot;
+              ps.alive = false;
+              if (e.deflects(missile)) {
+                sound("deflect");
+                fx("sparks", ps.x, ps.y, ps.z);
+                continue;
+              }
+              e.hit(missile ? 2 : 1);
+              fx(missile ? "flash" : "sparks", ps.x, ps.y, ps.z);
+              if (!e.alive) {
+                game.chainKill();
+                fx("debris", e.x, e.y, e.z);
+                game.dropPickup(e);
+              }
+
+              const magnet = game.effects.magnet > 0 ? 2 : 1;
+              const points = ((missile ? 220 : 120) + (e.alive ? 0 : e.value)) * game.combo * magnet;
+              game.score += points;
+              sound(e.alive ? "hit" : "destroy");
+              if (!e.alive) {
+                game.report("enemyDestroyed", {
+                  kind: e.kind,
+                  weapon: missile ? "missile" : "laser",
+                  points,
+                  combo: game.combo,
+                  x: e.x,
+                  y: e.y,
+                  z: e.z,
+                });
+              }
+            }
+          }
+        }
+      }
+
+      if (game.boss && !game.boss.standing("core").length) game.bossDefeated();
+
+      // missiles vs reactor vent (only a missile fired under LOCK dives for it)
+      if (game.vent) {
+        for (const ps of game.playerShots) {
+          if (!ps.alive || !(ps instanceof MissileShot)) continue;
+          if (ps.vent !== game.vent || ps.z < game.vent.z) continue;
+
+          // reached the vent plane: in, or into the floor
+          ps.alive = false;
+          fx("flash", ps.x, ps.y, ps.z);
+          if (Math.abs(ps.x - game.vent.x) < game.vent.radius) {
+            game.ventHit();
+            return;
+          }
+        }
+
+        if (!game.vent.alive) {
+          game.goAround();
+          return;
+        }
+      }
+
+      // survival score
+      game.score += Math.floor((8 + game.round * 2) * dt * 10);
+    }
+
+    applyDifficulty(options.difficulty);
+
+    // swap the authored rounds (level editor); takes effect at the next round start
+    function setRounds(rounds) {
+      script = rounds || [];
+    }
+
+    return {
+      W,
+      H,
+      TUNE,
+      applyDifficulty,
+      setRounds,
+      cam,
+      trenchHalfWAt,
+      trenchCenterAt,
+      trenchHalfHAt,
+      buildCourse,
+      reticlePos,
+      LaserShot,
+      MissileShot,
+      Enemy,
+      Diver,
+      Heavy,
+      Turret,
+      Formation,
+      Hardpoint,
+      Boss,
+      Obstacle,
+      Pipe,
+      Catwalk,
+      Beam,
+      BlastDoor,
+      Barrier,
+      Vent,
+      Pickup,
+      game,
+      update,
+    };
+  }
+
+  const TrenchCore = {
+    DEFAULT_SEED,
+    IN_FIRE,
+    IN_MISSILE,
+    DIFFICULTY,
+    clamp,
+    lerp,
+    makeRng,
+    sampleCourse,
+    scriptSpeed,
+    createCore,
+  };
+
+  if (typeof module === "object" && module.exports) module.exports = TrenchCore;
+  else window.TrenchCore = TrenchCore;
+})();
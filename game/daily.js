@@ -0,0 +1,99 @@
+// game/daily.js
+// Daily challenge: one procedural course per UTC day, the same for every
+// player. The first run started on a day is its scored attempt; any run
+// after that is practice. Each day's result is kept in localStorage.
+(() => {
+  "use strict";
+
+  const KEY = "ntr.daily";
+  const VERSION = 1;
+  const KEEP_DAYS = 60;
+
+  // "YYYY-MM-DD", UTC, so everyone's day rolls over together
+  function today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+  }
+
+  // FNV-1a over the date string; any build hashes a day to the same seed
+  function seedFor(day) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < day.length; i++) {
+      h ^= day.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0) % 1000000000;
+  }
+
+  function empty() {
+    return { version: VERSION, days: {} };
+  }
+
+  // days: "YYYY-MM-DD" -> { score, round, done } (done: the attempt ended)
+  function load() {
+    let data;
+    try {
+      data = JSON.parse(localStorage.getItem(KEY));
+    } catch (err) {
+      return empty();
+    }
+    if (!data || typeof data !== "object" || !data.days || typeof data.days !== "object") return empty();
+
+    const out = empty();
+    for (const [day, d] of Object.entries(data.days)) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !d || typeof d !== "object") continue;
+      const score = Math.floor(Number(d.score));
+      const round = Math.floor(Number(d.round));
+      out.days[day] = {
+        score: Number.isFinite(score) && score > 0 ? score : 0,
+        round: Number.isFinite(round) && round > 0 ? round : 1,
+        done: d.done === true,
+      };
+    }
+    return out;
+  }
+
+  function save(data) {
+    // oldest days go first; ISO dates sort as strings
+    const days = Object.keys(data.days).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - KEEP_DAYS))) delete data.days[day];
+    try {
+      localStorage.setItem(KEY, JSON.stringify(data));
+    } catch (err) {
+      // private mode / storage full: the attempt just isn't remembered
+    }
+  }
+
+  // the day's result so far, or null if it hasn't been tried
+  function result(day) {
+    return load().days[day] || null;
+  }
+
+  // Call when a daily run starts. Returns true for the scored attempt
+  // (which is used up right away, so a reload can't retry it), false
+  // for practice.
+  function begin(day) {
+    const data = load();
+    if (data.days[day]) return false;
+    data.days[day] = { score: 0, round: 1, done: false };
+    save(data);
+    return true;
+  }
+
+  function finish(day, score, round) {
+    const data = load();
+    const d = data.days[day] || { score: 0, round: 1, done: false };
+    data.days[day] = { score: Math.max(d.score, score), round: Math.max(d.round, round), done: true };
+    save(data);
+    return data.days[day];
+  }
+
+  // a line players can paste to friends
+  function shareText(day, { score, round }) {
+    return `Neon Trench Run · Daily ${day} · ${score.toLocaleString("en-US")} pts · round ${round}`;
+  }
+
+  const TrenchDaily = { KEY, VERSION, today, seedFor, load, result, begin, finish, shareText };
+
+  if (typeof module === "object" && module.exports) module.exports = TrenchDaily;
+  else window.TrenchDaily = TrenchDaily;
+})();
@@ -0,0 +1,635 @@
+// game/editor.js
+// The level editor behind editor.html. On the left, a top-down timeline
+// of one round with distance running up the strip. On the right, the game
+// itself (createTrenchRun), frozen at the timeline's cursor or flown from
+// there, so the preview is exactly what the game draws.
+(() => {
+  "use strict";
+
+  const STORE_KEY = "ntr.editor";
+  const { SPAWNS } = TrenchRounds;
+  const { clamp, sampleCourse } = TrenchCore;
+
+  const NEAR_HALF_W = 320; // trench half width at the ship (core TUNE.trenchNearHalfW)
+  const X_RANGE = 720;     // world x shown either side of the strip's centre
+  const SNAP = 50;         // "at" snaps to this
+  const PICK = 10;         // px
+  const SPANS = [3000, 6000, 12000, 24000];
+  const TOOLS = ["select", ...Object.keys(SPAWNS), "speed"];
+  const ACROSS = ["catwalk", "door", "barrier"]; // drawn wall to wall
+
+  const COLORS = {
+    bg: "#05070a",
+    grid: "rgba(230,240,255,0.07)",
+    label: "rgba(230,240,255,0.55)",
+    wall: "rgba(230,240,255,0.82)",
+    floor: "rgba(230,240,255,0.045)",
+    cursor: "rgba(90,255,150,0.95)",
+    vent: "rgba(255,220,90,0.95)",
+    speed: "rgba(255,190,60,0.8)",
+    select: "#7cf7ff",
+
+    interceptor: "rgba(230,240,255,0.9)",
+    diver: "rgba(255,120,200,0.95)",
+    heavy: "rgba(170,185,205,0.95)",
+    turret: "rgba(255,150,30,0.95)",
+    formation: "rgba(230,240,255,0.9)",
+    pipe: "rgba(230,240,255,0.7)",
+    catwalk: "rgba(230,240,255,0.7)",
+    beam: "rgba(230,240,255,0.7)",
+    door: "rgba(170,185,205,0.95)",
+    barrier: "rgba(120,220,255,0.95)",
+  };
+
+  function blankRound() {
+    return {
+      name: "",
+      length: 20000,
+      speed: 600,
+      speeds: [],
+      course: null,
+      spawns: [],
+      finale: { bonus: null, ventRadius: null },
+    };
+  }
+
+  function blankSpawn(type, at) {
+    const s = { at, type };
+    for (const [key, [, def]] of Object.entries(SPAWNS[type])) s[key] = def;
+    return s;
+  }
+
+  // a deep copy that has been through the validator
+  const copy = (rounds) => TrenchRounds.parse(TrenchRounds.stringify(rounds));
+
+  // { rounds } from the autosave (null if there is none), or { error }
+  // when it can't be read; that one is moved aside rather than lost
+  function restore() {
+    let text = null;
+    try {
+      text = localStorage.getItem(STORE_KEY);
+      return { rounds: text ? TrenchRounds.parse(text) : null };
+    } catch (err) {
+      try {
+        if (text) localStorage.setItem(`${STORE_KEY}.unreadable`, text);
+      } catch (e) {
+        // storage full: nothing more to be done
+      }
+      return { rounds: null, error: err.message };
+    }
+  }
+
+  function store(rounds) {
+    try {
+      localStorage.setItem(STORE_KEY, TrenchRounds.stringify(rounds));
+    } catch (err) {
+      // private mode / storage full: export still works
+    }
+  }
+
+  // timeline: the strip canvas; run: a createTrenchRun controller for the
+  // preview; campaign: rounds to start from when nothing is autosaved
+  function createTrenchEditor(timeline, run, campaign) {
+    const ctx = timeline.getContext("2d");
+    const TW = timeline.width;
+    const TH = timeline.height;
+    const $ = (id) => document.getElementById(id);
+
+    const saved = restore();
+    let rounds = saved.rounds || (campaign ? copy(campaign) : [blankRound()]);
+    let ri = 0;          // round being edited
+    let sel = null;      // selected spawn or speed change (an object in the round)
+    let tool = "select";
+    let cursor = 0;      // preview / test-play distance
+    let span = SPANS[1]; // distance shown by the strip
+    let scroll = 0;      // distance at the strip's bottom edge
+    let drag = null;
+    let testing = false;
+
+    const round = () => rounds[ri];
+
+    // ============================================================
+    // Timeline geometry (distance up, world x across)
+    // ============================================================
+    const toY = (d) => TH - 20 - ((d - scroll) * (TH - 40)) / span;
+    const toD = (y) => scroll + ((TH - 20 - y) * span) / (TH - 40);
+    const toX = (x) => TW / 2 + (x * TW) / 2 / X_RANGE;
+    const toWX = (px) => ((px - TW / 2) * 2 * X_RANGE) / TW;
+    const snap = (d) => clamp(Math.round(d / SNAP) * SNAP, 0, round().length);
+
+    function courseAt(d) {
+      const c = sampleCourse(run.course, d);
+      return { cx: c.cx, half: NEAR_HALF_W * c.w };
+    }
+
+    // where a spawn sits across the trench (world x)
+    function spawnX(s) {
+      const c = courseAt(s.at);
+      const f = SPAWNS[s.type];
+      if (f.side) return c.cx + (s.side === "left" ? -1 : 1) * (c.half - 16);
+      if (f.x) return c.cx + s.x * (c.half - 40);
+      return c.cx;
+    }
+
+    // drag / click position -> at, and x or side where the type has one
+    function placeAt(item, px, py) {
+      item.at = snap(toD(py));
+      const f = SPAWNS[item.type];
+      if (!f) return; // speed change
+      const c = courseAt(item.at);
+      const wx = toWX(px);
+      if (f.side) item.side = wx < c.cx ? "left" : "right";
+      if (f.x) item.x = Math.round(clamp((wx - c.cx) / (c.half - 40), f.x[2], f.x[3]) * 100) / 100;
+    }
+
+    // ============================================================
+    // Timeline drawing
+    // ============================================================
+    function drawTimeline() {
+      if (testing && run.distance > scroll + span * 0.8) scroll = run.distance - span * 0.2;
+
+      ctx.fillStyle = COLORS.bg;
+      ctx.fillRect(0, 0, TW, TH);
+      drawCourse();
+      drawGrid();
+
+      const r = round();
+      ctx.strokeStyle = COLORS.vent;
+      ctx.fillStyle = COLORS.vent;
+      ctx.lineWidth = 2;
+      line(0, toY(r.length), TW, toY(r.length));
+      label("VENT", 6, toY(r.length) - 4);
+
+      drawSpeeds(r);
+      for (const s of r.spawns) {
+        const y = toY(s.at);
+        if (y < -PICK || y > TH + PICK) continue;
+        drawSpawn(s, toX(spawnX(s)), y);
+      }
+
+      // the cursor, or the ship while test-playing
+      const d = testing ? run.distance : cursor;
+      const y = toY(d);
+      ctx.strokeStyle = COLORS.cursor;
+      ctx.fillStyle = COLORS.cursor;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 4]);
+      line(0, y, TW, y);
+      ctx.setLineDash([]);
+      const sx = toX(courseAt(d).cx);
+      ctx.beginPath();
+      ctx.moveTo(sx, y - 8);
+      ctx.lineTo(sx - 6, y + 5);
+      ctx.lineTo(sx + 6, y + 5);
+      ctx.closePath();
+      ctx.fill();
+      label(`${Math.round(d)}`, TW - 44, y - 4);
+
+      requestAnimationFrame(drawTimeline);
+    }
+
+    function line(x0, y0, x1, y1) {
+      ctx.beginPath();
+      ctx.moveTo(x0, y0);
+      ctx.lineTo(x1, y1);
+      ctx.stroke();
+    }
+
+    function label(text, x, y) {
+      ctx.font = "11px ui-monospace, monospace";
+      ctx.fillText(text, x, y);
+    }
+
+    function drawCourse() {
+      const left = [];
+      const right = [];
+      for (let i = 0; i <= 80; i++) {
+        const d = scroll + (span * 1.1 * i) / 80 - span * 0.05;
+        const c = courseAt(Math.max(0, d));
+        left.push([toX(c.cx - c.half), toY(d)]);
+        right.push([toX(c.cx + c.half), toY(d)]);
+      }
+
+      ctx.fillStyle = COLORS.floor;
+      ctx.beginPath();
+      for (const [x, y] of left) ctx.lineTo(x, y);
+      for (const [x, y] of right.reverse()) ctx.lineTo(x, y);
+      ctx.fill();
+
+      ctx.strokeStyle = COLORS.wall;
+      ctx.lineWidth = 1.5;
+      for (const side of [left, right]) {
+        ctx.beginPath();
+        for (const [x, y] of side) ctx.lineTo(x, y);
+        ctx.stroke();
+      }
+    }
+
+    function drawGrid() {
+      const step = span <= 6000 ? 1000 : 2000;
+      ctx.strokeStyle = COLORS.grid;
+      ctx.fillStyle = COLORS.label;
+      ctx.lineWidth = 1;
+      for (let d = Math.ceil(scroll / step) * step; d <= scroll + span; d += step) {
+        line(0, toY(d), TW, toY(d));
+        label(`${d / 1000}k`, 4, toY(d) - 3);
+      }
+    }
+
+    // round speed from 0, then each change; handles sit at the right edge
+    function drawSpeeds(r) {
+      const marks = [{ at: 0, speed: r.speed }, ...r.speeds];
+      ctx.lineWidth = 1;
+      for (const m of marks) {
+        const y = toY(m.at);
+        ctx.strokeStyle = m === sel ? COLORS.select : COLORS.speed;
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.setLineDash([6, 6]);
+        line(0, y, TW, y);
+        ctx.setLineDash([]);
+        ctx.fillRect(TW - 12, y - 4, 8, 8);
+        label(`▲${m.speed}`, TW - 62, y + 12);
+      }
+    }
+
+    function drawSpawn(s, x, y) {
+      const chosen = s === sel;
+      ctx.strokeStyle = chosen ? COLORS.select : COLORS[s.type];
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.lineWidth = chosen ? 2.5 : 1.5;
+
+      const c = courseAt(s.at);
+      const wl = toX(c.cx - c.half);
+      const wr = toX(c.cx + c.half);
+      switch (s.type) {
+        case "catwalk":
+          ctx.fillRect(wl, y - 2, wr - wl, 4);
+          break;
+        case "door": {
+          const gap = toX(spawnX(s));
+          line(wl, y, gap - 10, y);
+          line(gap + 10, y, wr, y);
+          break;
+        }
+        case "barrier": {
+          ctx.setLineDash([3, 3]);
+          const from = s.half === "right" ? toX(c.cx) : wl;
+          const to = s.half === "left" ? toX(c.cx) : wr;
+          line(from, y, to, y);
+          ctx.setLineDash([]);
+          label(s.half[0].toUpperCase(), to + 3, y + 4);
+          break;
+        }
+        case "pipe": {
+          const inward = ((s.side === "left" ? 1 : -1) * s.length * TW) / 2 / X_RANGE;
+          const wall = s.side === "left" ? wl : wr;
+          ctx.fillRect(Math.min(wall, wall + inward), y - 3, Math.abs(inward), 6);
+          break;
+        }
+        case "beam":
+          ctx.fillRect(x - 3, y - 3, 6, 6);
+          break;
+        case "turret":
+          ctx.strokeRect(x - 5, y - 5, 10, 10);
+          break;
+        case "formation":
+          for (const [dx, dy] of [[0, 4], [-8, -4], [8, -4]]) ctx.fillRect(x + dx - 2, y + dy - 2, 4, 4);
+          break;
+        case "heavy":
+          ctx.strokeRect(x - 6, y - 6, 12, 12);
+          ctx.fillRect(x - 2, y - 2, 4, 4);
+          break;
+        default: // fighters point at the ship
+          ctx.beginPath();
+          ctx.moveTo(x, y + 6);
+          ctx.lineTo(x - 6, y - 5);
+          ctx.lineTo(x + 6, y - 5);
+          ctx.closePath();
+          if (s.type === "diver") ctx.fill();
+          else ctx.stroke();
+      }
+    }
+
+    // ============================================================
+    // Picking / dragging
+    // ============================================================
+    function pick(px, py) {
+      const r = round();
+      for (const m of r.speeds) {
+        if (px > TW - 20 && Math.abs(toY(m.at) - py) < PICK) return m;
+      }
+      for (let i = r.spawns.length - 1; i >= 0; i--) {
+        const s = r.spawns[i];
+        const y = toY(s.at);
+        if (Math.abs(y - py) > PICK) continue;
+        if (ACROSS.includes(s.type) || Math.abs(toX(spawnX(s)) - px) < PICK) return s;
+      }
+      return null;
+    }
+
+    function canvasPoint(e) {
+      const box = timeline.getBoundingClientRect();
+      return [((e.clientX - box.left) * TW) / box.width, ((e.clientY - box.top) * TH) / box.height];
+    }
+
+    timeline.addEventListener("pointerdown", (e) => {
+      const [px, py] = canvasPoint(e);
+      const r = round();
+      let item = null;
+
+      if (tool === "select") {
+        item = pick(px, py);
+        if (!item) {
+          select(null);
+          cursor = clamp(toD(py), 0, r.length);
+          preview();
+          return;
+        }
+      } else if (tool === "speed") {
+        item = { at: 0, speed: speedAt(toD(py)) };
+        r.speeds.push(item);
+      } else {
+        item = blankSpawn(tool, 0);
+        r.spawns.push(item);
+      }
+      if (tool !== "select") placeAt(item, px, py);
+
+      select(item);
+      drag = item;
+      timeline.setPointerCapture(e.pointerId);
+    });
+
+    timeline.addEventListener("pointermove", (e) => {
+      if (!drag) return;
+      const [px, py] = canvasPoint(e);
+      placeAt(drag, px, py);
+      showProps();
+    });
+
+    timeline.addEventListener("pointerup", () => {
+      if (!drag) return;
+      drag = null;
+      changed();
+    });
+
+    // wheel scrolls, shift+wheel zooms
+    timeline.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        if (e.shiftKey) {
+          const i = clamp(SPANS.indexOf(span) + Math.sign(e.deltaY || e.deltaX), 0, SPANS.length - 1);
+          span = SPANS[i];
+        } else {
+          scroll -= (e.deltaY * span) / 1500;
+        }
+        scroll = clamp(scroll, -span * 0.05, round().length);
+      },
+      { passive: false }
+    );
+
+    window.addEventListener("keydown", (e) => {
+      if (e.target.closest && e.target.closest("input, select, textarea")) return;
+      if ((e.key === "Delete" || e.key === "Backspace") && sel) {
+        e.preventDefault();
+        remove();
+      }
+    });
+
+    function speedAt(d) {
+      let speed = round().speed;
+      for (const m of round().speeds) if (m.at <= d) speed = m.speed;
+      return speed;
+    }
+
+    function remove() {
+      const r = round();
+      r.spawns = r.spawns.filter((s) => s !== sel);
+      r.speeds = r.speeds.filter((m) => m !== sel);
+      select(null);
+      changed();
+    }
+
+    // ============================================================
+    // Preview / test-play
+    // ============================================================
+    function preview() {
+      testing = false;
+      run.preview(rounds, ri + 1, cursor);
+    }
+
+    function testPlay() {
+      testing = true;
+      status("");
+      run.playFrom(rounds, ri + 1, cursor);
+    }
+
+    run.on("gameOver", () => {
+      if (!testing) return;
+      status("Test run over: out of lives.");
+      preview();
+    });
+    // the vent was hit and the next round is starting
+    run.on("roundStarted", (detail) => {
+      if (!testing || detail.round === ri + 1) return;
+      status("Test run over: vent hit.");
+      preview();
+    });
+
+    // every edit: keep spawns in order, autosave, check, re-preview
+    function changed() {
+      const r = round();
+      r.spawns.sort((a, b) => a.at - b.at);
+      r.speeds.sort((a, b) => a.at - b.at);
+      // a script that fails validation couldn't be restored, so it isn't saved
+      const msg = problems();
+      if (!msg) store(rounds);
+      status(msg && `${msg}\nNot autosaved until this is fixed.`);
+      showRound();
+      preview();
+    }
+
+    function problems() {
+      try {
+        copy(rounds);
+        return "";
+      } catch (err) {
+        return err.message;
+      }
+    }
+
+    // ============================================================
+    // Panels (toolbar, round fields, selection properties)
+    // ============================================================
+    function status(msg) {
+      $("status").textContent = msg;
+    }
+
+    function showTools() {
+      const box = $("tools");
+      box.textContent = "";
+      for (const t of TOOLS) {
+        const b = document.createElement("button");
+        b.type = "button";
+        b.className = "pill";
+        b.textContent = t;
+        b.setAttribute("aria-pressed", String(t === tool));
+        b.addEventListener("click", () => {
+          tool = t;
+          showTools();
+        });
+        box.appendChild(b);
+      }
+    }
+
+    function showRound() {
+      const list = $("round");
+      list.textContent = "";
+      rounds.forEach((r, i) => list.add(new Option(`Round ${i + 1}${r.name ? ` · ${r.name}` : ""}`, String(i))));
+      list.value = String(ri);
+      $("roundDel").disabled = rounds.length < 2;
+
+      const r = round();
+      $("name").value = r.name;
+      $("length").value = r.length;
+      $("speed").value = r.speed;
+    }
+
+    // a number input for field key of item, kept inside lo..hi
+    function numberField(item, key, lo, hi, step) {
+      const input = document.createElement("input");
+      Object.assign(input, { type: "number", min: lo, max: hi, step, value: item[key] });
+      input.addEventListener("change", () => {
+        const v = Number(input.value);
+        if (input.value !== "" && Number.isFinite(v)) item[key] = clamp(v, lo, hi);
+        changed();
+      });
+      return input;
+    }
+
+    function choiceField(item, key, choices) {
+      const input = document.createElement("select");
+      for (const c of choices) input.add(new Option(c, c));
+      input.value = item[key];
+      input.addEventListener("change", () => {
+        item[key] = input.value;
+        changed();
+      });
+      return input;
+    }
+
+    function showProps() {
+      const box = $("props");
+      box.textContent = "";
+      if (!sel) {
+        box.textContent = "Nothing selected. Pick a tool and click the timeline; select and drag to move.";
+        return;
+      }
+
+      const add = (name, input) => {
+        const row = document.createElement("label");
+        row.className = "field";
+        const caption = document.createElement("span");
+        caption.textContent = name;
+        row.append(caption, input);
+        box.appendChild(row);
+      };
+
+      const title = document.createElement("h2");
+      title.textContent = sel.type || "speed change";
+      box.appendChild(title);
+      add("at", numberField(sel, "at", 0, round().length, SNAP));
+
+      if (sel.type) {
+        for (const [key, [kind, , ...rest]] of Object.entries(SPAWNS[sel.type])) {
+          add(key, kind === "num" ? numberField(sel, key, rest[0], rest[1], (rest[1] - rest[0]) / 40) : choiceField(sel, key, rest));
+        }
+      } else {
+        add("speed", numberField(sel, "speed", 200, 1400, 20));
+      }
+
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "pill";
+      del.textContent = "Delete";
+      del.addEventListener("click", remove);
+      box.appendChild(del);
+    }
+
+    function select(item) {
+      sel = item;
+      showProps();
+    }
+
+    function editRound(i) {
+      ri = i;
+      cursor = 0;
+      scroll = 0;
+      select(null);
+      changed();
+    }
+
+    $("round").addEventListener("change", () => editRound(Number($("round").value)));
+    $("roundAdd").addEventListener("click", () => {
+      rounds.splice(ri + 1, 0, blankRound());
+      editRound(ri + 1);
+    });
+    $("roundDel").addEventListener("click", () => {
+      if (rounds.length < 2 || !confirm(`Delete round ${ri + 1}?`)) return;
+      rounds.splice(ri, 1);
+      editRound(Math.min(ri, rounds.length - 1));
+    });
+
+    $("name").addEventListener("change", () => {
+      round().name = $("name").value.trim();
+      changed();
+    });
+    for (const [key, lo, hi] of [["length", 6000, 200000], ["speed", 200, 1400]]) {
+      $(key).addEventListener("change", () => {
+        const v = Number($(key).value);
+        if (Number.isFinite(v)) round()[key] = clamp(Math.round(v), lo, hi);
+        changed();
+      });
+    }
+
+    $("test").addEventListener("click", testPlay);
+    $("stop").addEventListener("click", () => {
+      status("");
+      preview();
+    });
+
+    $("export").addEventListener("click", () => {
+      const msg = problems();
+      if (msg) status(msg);
+      else TrenchRounds.download(rounds, "ntr-rounds");
+    });
+    $("importFile").addEventListener("change", () => {
+      const f = $("importFile").files[0];
+      $("importFile").value = "";
+      if (!f) return;
+      f.text().then((text) => {
+        try {
+          rounds = TrenchRounds.parse(text);
+        } catch (err) {
+          status(err.message);
+          return;
+        }
+        editRound(0);
+      });
+    });
+    $("reset").addEventListener("click", () => {
+      if (!confirm("Throw away these rounds and start again from the campaign?")) return;
+      rounds = campaign ? copy(campaign) : [blankRound()];
+      editRound(0);
+    });
+
+    showTools();
+    editRound(0);
+    if (saved.error) {
+      status(`The autosave couldn't be read, so this is a fresh start. It's kept in this browser as "${STORE_KEY}.unreadable".\n${saved.error}`);
+    }
+    requestAnimationFrame(drawTimeline);
+  }
+
+  window.createTrenchEditor = createTrenchEditor;
+})();
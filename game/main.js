@@ -1,213 +1,470 @@
 // game/main.js
+// The browser front end around game/core.js: input, audio, replays and
+// canvas drawing. Nothing runs until a page calls createTrenchRun().
 (() => {
   "use strict";
 
   // ============================================================
-  // Canvas
+  // Events (controller.on / off)
   // ============================================================
-  const canvas = document.getElementById("game");
-  const ctx = canvas.getContext("2d");
-  const W = canvas.width;
-  const H = canvas.height;
+  class Emitter {
+    constructor() {
+      this.handlers = {};
+    }
 
-  // ============================================================
-  // Input
-  // ============================================================
-  const keys = new Set();
-  window.addEventListener(
-    "keydown",
-    (e) => {
-      const k = e.key.toLowerCase();
-      keys.add(k);
-      if (["arrowup", "arrowdown", "arrowleft", "arrowright", " "].includes(k)) e.preventDefault();
-      if (k === "escape") game.togglePause();
-      if (k === "enter") {
-        if (game.state === "title" || game.state === "gameover") game.newGame();
-      }
-    },
-    { passive: false }
-  );
-  window.addEventListener("keyup", (e) => keys.delete(e.key.toLowerCase()));
-  const down = (k) => keys.has(k);
+    // returns an unsubscribe function
+    on(type, fn) {
+      (this.handlers[type] || (this.handlers[type] = [])).push(fn);
+      return () => this.off(type, fn);
+    }
 
-  // ============================================================
-  // Helpers
-  // ============================================================
-  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-  const lerp = (a, b, t) => a + (b - a) * t;
-
-  function makeRng(seed) {
-    let s = seed >>> 0;
-    return () => {
-      s = (1664525 * s + 1013904223) >>> 0;
-      return s / 4294967296;
-    };
+    off(type, fn) {
+      const list = this.handlers[type];
+      if (list) this.handlers[type] = list.filter((h) => h !== fn);
+    }
+
+    emit(type, detail) {
+      for (const fn of this.handlers[type] || []) {
+        // a broken listener must not leave the sim half-stepped; its error
+        // is rethrown on its own task so it still surfaces as uncaught
+        try {
+          fn(detail);
+        } catch (err) {
+          setTimeout(() => {
+            throw err;
+          });
+        }
+      }
+    }
   }
 
-  // ============================================================
-  // Style / Colors
-  // ============================================================
-  const COLORS = {
-    ui: "#e6f0ff",
-    frame: "rgba(230,240,255,0.22)",
-
-    trenchLine: "rgba(230,240,255,0.82)",
-    trenchDim: "rgba(230,240,255,0.18)",
-    trenchFill: "rgba(230,240,255,0.045)",
-
-    playerLaser: "rgba(255,60,60,0.95)",     // RED
-    enemyLaser: "rgba(255,150,30,0.95)",     // ORANGE
-    missile: "rgba(80,170,255,0.95)",        // BLUE
-    missileTrail: "rgba(80,170,255,0.22)",   // BLUE TRAIL
-
-    cockpitLine: "rgba(230,240,255,0.90)",
-    cockpitLineDim: "rgba(230,240,255,0.55)",
-    cockpitFill: "rgba(5,7,10,0.92)",
-    cockpitFill2: "rgba(12,14,18,0.80)",
-    cockpitGlass: "rgba(230,240,255,0.06)",
-  };
+  // options:
+  //   settings   player settings, missing fields defaulted (default:
+  //              TrenchSettings.load()); only the player's own are saved back
+  //   seed       run seed (default: TrenchCore.DEFAULT_SEED); daily challenge
+  //              runs use the date's seed instead
+  //   rounds     authored rounds (TrenchRounds.parse); procedural when left out
+  function createTrenchRun(canvas, options = {}) {
+    // ============================================================
+    // Canvas
+    // ============================================================
+    const ctx = canvas.getContext("2d");
+    const W = canvas.width;
+    const H = canvas.height;
+
+    // every listener goes through here so destroy() can take it back off
+    const unlisteners = [];
+    function listen(target, type, fn, opts) {
+      target.addEventListener(type, fn, opts);
+      unlisteners.push(() => target.removeEventListener(type, fn, opts));
+    }
 
-  // ============================================================
-  // Tuning
-  // ============================================================
-  const TUNE = {
-    // movement inside trench (x,y)
-    xAccel: 9.0,
-    yAccel: 7.5,
-    damp: 0.86,
-
-    // trench size (world units)
-    trenchNearHalfW: 320,
-    trenchFarHalfW: 120,
-    trenchHalfH: 140, // half height of trench (bigger = taller trench)
-
-    // sit lower
-    sitLowerY: -55,      // starting ship y (lower)
-    padX: 92,
-    padY: 46,
-
-    // camera/projection
-    horizonBase: 105,
-    fov: 580,
-    yScale: 1.2,
-    pitchEffect: 40,     // look up/down effect
-
-    // drawing
-    farZ: 3000,
-    slices: 46,
-    segmentLen: 165,     // trench detail scroll loop length
-    rungEvery: 2,
-    panelEvery: 3,
-    lightEvery: 7,
-    speedLines: 16,
-
-    // weapons
-    laserCooldown: 0.18, // fewer lasers
-    laserAlternate: true,
-    missileCooldown: 0.80,
-
-    // laser aim convergence
-    aimTargetZ: 1500,    // how far out the convergence aims
-
-    // hit tuning
-    hitRadius: 80,       // forgiving hit radius (you asked lasers were hard)
-    enemyZWindow: 90,    // z closeness window for hit test
-
-    // enemies (calmer)
-    enemySpawnMin: 1.6,
-    enemySpawnMax: 2.9,
-    enemyShotsChance: 0.24,
-    enemyShotCooldownMin: 1.5,
-    enemyShotCooldownMax: 2.6,
-
-    // obstacles
-    pipeChance: 0.30,
-  };
+    // ============================================================
+    // Settings (settings.html / game/settings.js)
+    // ============================================================
+    // game/settings.js has to be on the page: it holds the only copy of the defaults
+    const OWN_SETTINGS = !options.settings;
+    const SETTINGS = OWN_SETTINGS ? TrenchSettings.load() : TrenchSettings.validate(options.settings);
 
-  // ============================================================
-  // Camera / projection (x,y,z -> screen)
-  // ============================================================
-  const cam = {
-    horizonY: TUNE.horizonBase,
-    fov: TUNE.fov,
-    pitch: 0, // derived from ship.y each frame
-    project(x, y, z) {
-      const zz = Math.max(40, z);
-      const s = this.fov / (zz + this.fov);
-      const sx = W * 0.5 + x * s;
-
-      // near -> bottom, far -> horizon
-      let sy = this.horizonY + s * (H - this.horizonY);
-
-      // apply world y
-      sy -= y * s * TUNE.yScale;
-
-      // pitch affects far more than near
-      sy += this.pitch * (1 - s);
-
-      return { x: sx, y: sy, s };
-    },
-  };
-
-  function trenchHalfWAt(z) {
-    const t = clamp((z - game.shipZ) / (TUNE.farZ - game.shipZ), 0, 1);
-    return lerp(game.trenchNearHalfW, game.trenchFarHalfW, t);
-  }
+    // a host's settings are for this run only, not the player's saved ones
+    function saveSettings() {
+      if (OWN_SETTINGS) TrenchSettings.save(SETTINGS);
+    }
 
-  // ============================================================
-  // Entities (x,y,z)
-  // ============================================================
-  class LaserShot {
-    constructor(x, y, z, owner) {
-      this.x = x; this.y = y; this.z = z;
-      this.owner = owner; // "player" | "enemy"
-      this.alive = true;
-      this.age = 0;
-
-      if (owner === "player") {
-        this.speed = 980;
-
-        // ✅ Converge toward "aim point" in the distance so hitting feels right
-        const targetZ = game.shipZ + TUNE.aimTargetZ;
-        const targetX = game.ship.x;
-        const targetY = game.ship.y; // aim follows your position
-
-        const dz = Math.max(1, targetZ - z);
-        const dx = targetX - x;
-        const dy = targetY - y;
-
-        this.vx = (dx / dz) * this.speed;
-        this.vy = (dy / dz) * this.speed;
-      } else {
-        this.speed = 720;
-        this.vx = 0;
-        this.vy = 0;
+    // ============================================================
+    // Input
+    // ============================================================
+    const BINDS = SETTINGS.keys;
+    const keys = new Set();
+    listen(
+      window,
+      "keydown",
+      (e) => {
+        if (e.target.closest && e.target.closest("input, select, textarea")) return; // typing on the page
+        const k = e.key.toLowerCase();
+        if (["arrowup", "arrowdown", "arrowleft", "arrowright", " "].includes(k)) e.preventDefault();
+        if (replay) {
+          replayKey(k);
+          return;
+        }
+        if (game.state === "initials") {
+          entryKey(k);
+          return;
+        }
+        keys.add(k);
+        if (BINDS.pause.includes(k)) togglePause();
+        if (BINDS.mute.includes(k) && !e.repeat) toggleMute();
+        if (k === "enter") {
+          if (game.state === "title" || game.state === "gameover") startGame();
+        }
+        if (BINDS.daily.includes(k) && DAILY && (game.state === "title" || game.state === "gameover")) startGame("daily");
+        if (game.state === "title" || game.state === "gameover") {
+          if (BINDS.left.includes(k)) cycleDifficulty(-1);
+          if (BINDS.right.includes(k)) cycleDifficulty(1);
+        }
+        if (BINDS.copy.includes(k) && game.state === "gameover") copyDailyResult();
+        if (BINDS.watch.includes(k) && game.state === "gameover" && REPLAY && lastReplay) tryWatch(() => REPLAY.expand(lastReplay));
+      },
+      { passive: false }
+    );
+    listen(window, "keyup", (e) => keys.delete(e.key.toLowerCase()));
+    const down = (k) => keys.has(k);
+    const held = (action) => BINDS[action].some(down);
+    const release = (action) => BINDS[action].forEach((k) => keys.delete(k));
+
+    // ============================================================
+    // Gamepad (standard mapping, polled every frame)
+    // ============================================================
+    const PAD_BTN = { a: 0, b: 1, x: 2, y: 3, lb: 4, rb: 5, lt: 6, rt: 7, start: 9, up: 12, down: 13, left: 14, right: 15 };
+    const PAD_DEADZONE = 0.18;
+
+    const pad = {
+      index: -1,   // which navigator.getGamepads() slot we follow
+      x: 0,        // stick, -1..1 after deadzone
+      y: 0,
+      fire: false, // held
+      missile: false, // pressed this frame, consumed by update()
+      prev: {},    // last frame's buttons, for edges
+    };
+
+    listen(window, "gamepadconnected", (e) => {
+      if (pad.index === -1) pad.index = e.gamepad.index;
+    });
+    listen(window, "gamepaddisconnected", (e) => {
+      if (e.gamepad.index !== pad.index) return;
+      pad.index = -1;
+      pad.x = pad.y = 0;
+      pad.fire = pad.missile = false;
+      pad.prev = {};
+    });
+
+    function getPad() {
+      if (!navigator.getGamepads) return null;
+      const pads = navigator.getGamepads();
+      let gp = pad.index >= 0 ? pads[pad.index] : null;
+
+      // some browsers only report a pad once polled; pick up the first one
+      if (!gp || !gp.connected) {
+        gp = null;
+        for (const p of pads) {
+          if (p && p.connected) {
+            gp = p;
+            break;
+          }
+        }
+        pad.index = gp ? gp.index : -1;
       }
+      return gp;
+    }
+
+    function padPressed(gp, name) {
+      const b = gp.buttons[PAD_BTN[name]];
+      return !!b && (b.pressed || b.value > 0.5);
     }
 
-    update(dt) {
-      this.age += dt;
+    function pollPad() {
+      const gp = getPad();
+      if (!gp) return;
+
+      const now = {};
+      for (const name in PAD_BTN) now[name] = padPressed(gp, name);
+      const prev = pad.prev;
+      const edge = (name) => now[name] && !prev[name];
+      pad.prev = now;
+
+      // radial deadzone, rescaled so the stick still reaches 1
+      const sx = gp.axes[0] || 0;
+      const sy = gp.axes[1] || 0;
+      const mag = Math.hypot(sx, sy);
+      const k = mag < PAD_DEADZONE ? 0 : Math.min(1, (mag - PAD_DEADZONE) / (1 - PAD_DEADZONE)) / mag;
+      pad.x = clamp(sx * k + (now.right ? 1 : 0) - (now.left ? 1 : 0), -1, 1);
+      pad.y = clamp(sy * k + (now.down ? 1 : 0) - (now.up ? 1 : 0), -1, 1);
+
+      if (replay) {
+        if (edge("start") || edge("a")) replay.paused = !replay.paused;
+        if (edge("b")) exitReplay();
+        return;
+      }
 
-      if (this.owner === "player") {
-        this.x += this.vx * dt;
-        this.y += this.vy * dt;
-        this.z += this.speed * dt;
-      } else {
-        this.z -= this.speed * dt;
+      if (game.state === "initials") {
+        if (edge("up")) entryKey("arrowup");
+        if (edge("down")) entryKey("arrowdown");
+        if (edge("left")) entryKey("arrowleft");
+        if (edge("right")) entryKey("arrowright");
+        if (edge("a") || edge("start")) entryKey("enter");
+        return;
+      }
+
+      pad.fire = now.a || now.rt;
+      if (edge("b") || edge("lt")) pad.missile = true;
+
+      if (edge("start")) {
+        if (game.state === "title" || game.state === "gameover") startGame();
+        else togglePause();
+      }
+      if (edge("y") && DAILY && (game.state === "title" || game.state === "gameover")) startGame("daily");
+      if (game.state === "title" || game.state === "gameover") {
+        if (edge("left")) cycleDifficulty(-1);
+        if (edge("right")) cycleDifficulty(1);
+      }
+    }
+
+    // ============================================================
+    // Touch (virtual stick + buttons, canvas space)
+    // ============================================================
+    const TOUCH_DEVICE = navigator.maxTouchPoints > 0 || "ontouchstart" in window;
+    const TOUCH = {
+      stickR: 64,                              // drag this far for full deflection
+      stickHome: { x: 150, y: H - 130 },       // ghost stick when idle
+      fire: { x: W - 100, y: H - 150, r: 48 },
+      missile: { x: W - 205, y: H - 92, r: 38 },
+      pause: { x: W - 44, y: 96, r: 22 },
+    };
+
+    const touch = {
+      enabled: false, // turns on at the first touch, so desktops stay clean
+      stick: null,    // { id, ox, oy, x, y } while a finger steers
+      fireId: null,   // finger holding FIRE
+      x: 0,           // stick, -1..1 like the pad
+      y: 0,
+      missile: false, // tapped this frame, consumed by update()
+    };
+
+    // client px -> canvas px, through the CSS scaling (and the border)
+    function toCanvas(t) {
+      const r = canvas.getBoundingClientRect();
+      return {
+        x: ((t.clientX - r.left - canvas.clientLeft) * W) / canvas.clientWidth,
+        y: ((t.clientY - r.top - canvas.clientTop) * H) / canvas.clientHeight,
+      };
+    }
+
+    const inCircle = (p, c) => (p.x - c.x) ** 2 + (p.y - c.y) ** 2 < (c.r * 1.25) ** 2;
+
+    function onTouchStart(e) {
+      e.preventDefault();
+      touch.enabled = true;
+
+      for (const t of e.changedTouches) {
+        const p = toCanvas(t);
+
+        if (replay) {
+          replayTap(p);
+          return;
+        }
+        if (game.state === "title" || game.state === "gameover") {
+          startGame();
+          return;
+        }
+        if (game.state === "paused") {
+          togglePause();
+          return;
+        }
+        if (game.state === "initials") {
+          entryTap(p);
+          return;
+        }
+        if (game.state !== "playing") return;
+
+        if (inCircle(p, TOUCH.pause)) togglePause();
+        else if (inCircle(p, TOUCH.fire)) touch.fireId = t.identifier;
+        else if (inCircle(p, TOUCH.missile)) touch.missile = true;
+        else if (!touch.stick && p.x < W * 0.6) touch.stick = { id: t.identifier, ox: p.x, oy: p.y, x: p.x, y: p.y };
+      }
+    }
+
+    function onTouchMove(e) {
+      e.preventDefault();
+      for (const t of e.changedTouches) {
+        if (!touch.stick || t.identifier !== touch.stick.id) continue;
+        const p = toCanvas(t);
+        const dx = p.x - touch.stick.ox;
+        const dy = p.y - touch.stick.oy;
+        const len = Math.hypot(dx, dy);
+        const k = len > TOUCH.stickR ? TOUCH.stickR / len : 1;
+
+        touch.stick.x = touch.stick.ox + dx * k;
+        touch.stick.y = touch.stick.oy + dy * k;
+        touch.x = (dx * k) / TOUCH.stickR;
+        touch.y = (dy * k) / TOUCH.stickR;
+      }
+    }
+
+    function onTouchEnd(e) {
+      for (const t of e.changedTouches) {
+        if (touch.stick && t.identifier === touch.stick.id) {
+          touch.stick = null;
+          touch.x = touch.y = 0;
+        }
+        if (t.identifier === touch.fireId) touch.fireId = null;
+      }
+    }
+
+    listen(canvas, "touchstart", onTouchStart, { passive: false });
+    listen(canvas, "touchmove", onTouchMove, { passive: false });
+    listen(canvas, "touchend", onTouchEnd);
+    listen(canvas, "touchcancel", onTouchEnd);
+
+    // ============================================================
+    // Per-tick input (keys + pad + touch), quantized so replays match
+    // ============================================================
+    const DT_SCALE = 10000; // dt in 1/10000 s
+    const AXIS_SCALE = 100; // stick axes in 1/100
+
+    function readInput() {
+      // keys are all-or-nothing; the sticks add a proportional push
+      const ax = (held("right") ? 1 : 0) - (held("left") ? 1 : 0) + pad.x + touch.x;
+      const ay = (held("down") ? 1 : 0) - (held("up") ? 1 : 0) + pad.y + touch.y;
+
+      let flags = 0;
+      if (held("fire") || pad.fire || touch.fireId !== null) flags |= IN_FIRE;
+      if (held("missile") || pad.missile || touch.missile) {
+        release("missile");
+        pad.missile = false;
+        touch.missile = false;
+        flags |= IN_MISSILE;
       }
 
-      // world scroll
-      this.z -= game.scrollSpeed * dt;
+      return {
+        ax: Math.round(clamp(ax, -1, 1) * AXIS_SCALE),
+        ay: Math.round(clamp(ay, -1, 1) * AXIS_SCALE),
+        flags,
+      };
+    }
+
+    // ============================================================
+    // Audio (game/audio.js; silent if it isn't loaded)
+    // ============================================================
+    const audio = window.TrenchAudio || null;
+    let silent = false; // replay seeking runs ticks without sound
+
+    function sound(name) {
+      if (audio && !silent) audio.play(name);
+    }
+
+    function fx(name, x, y, z) {
+      if (!silent) spawnFx(name, x, y, z);
+    }
+
+    function toggleMute() {
+      if (!audio) return;
+      SETTINGS.muted = audio.toggleMute();
+      saveSettings();
+    }
+
+    // title / game-over screen: step through the presets; the pick is saved
+    function cycleDifficulty(step) {
+      const names = Object.keys(DIFFICULTY);
+      const i = names.indexOf(SETTINGS.difficulty);
+      SETTINGS.difficulty = names[(i + step + names.length) % names.length];
+      saveSettings();
+      applyDifficulty(SETTINGS.difficulty);
+    }
+
+    // ============================================================
+    // Simulation (game/core.js)
+    // ============================================================
+    const { clamp, lerp, makeRng, IN_FIRE, IN_MISSILE, DEFAULT_SEED, DIFFICULTY } = TrenchCore;
+    const events = new Emitter();
+    const SEED = options.seed ?? DEFAULT_SEED;
+    const ROUNDS = options.rounds || [];
+    const core = TrenchCore.createCore({
+      width: W,
+      height: H,
+      seed: SEED,
+      rounds: options.rounds,
+      difficulty: SETTINGS.difficulty,
+      sound,
+      fx,
+      emit: onCoreEvent,
+    });
+    const {
+      TUNE,
+      applyDifficulty,
+      cam,
+      trenchHalfWAt,
+      trenchCenterAt,
+      trenchHalfHAt,
+      reticlePos,
+      MissileShot,
+      game,
+      update,
+    } = core;
+
+    // ============================================================
+    // Style / Colors
+    // ============================================================
+    const COLORS = {
+      ui: "#e6f0ff",
+      frame: "rgba(230,240,255,0.22)",
+
+      trenchLine: "rgba(230,240,255,0.82)",
+      trenchDim: "rgba(230,240,255,0.18)",
+      trenchFill: "rgba(230,240,255,0.045)",
+
+      playerLaser: "rgba(255,60,60,0.95)",     // RED
+      enemyLaser: "rgba(255,150,30,0.95)",     // ORANGE
+      missile: "rgba(80,170,255,0.95)",        // BLUE
+      missileTrail: "rgba(80,170,255,0.22)",   // BLUE TRAIL
+
+      cockpitLine: "rgba(230,240,255,0.90)",
+      cockpitLineDim: "rgba(230,240,255,0.55)",
+      cockpitFill: "rgba(5,7,10,0.92)",
+      cockpitFill2: "rgba(12,14,18,0.80)",
+      cockpitGlass: "rgba(230,240,255,0.06)",
+
+      vent: "rgba(255,220,90,0.95)",           // YELLOW target
+      lockOn: "rgba(90,255,150,0.95)",         // GREEN lock
+
+      diver: "rgba(255,120,200,0.95)",         // PINK (rams you)
+      armor: "rgba(170,185,205,0.95)",         // GREY plate (missile only)
+      turret: "rgba(255,150,30,0.95)",         // ORANGE, like its shots
+
+      warn: "rgba(255,190,60,0.8)",            // AMBER obstacle still far off
+      plate: "rgba(230,240,255,0.07)",         // catwalk / beam / door fill
+      barrier: "rgba(120,220,255,0.95)",       // CYAN energy field
+      barrierFill: "rgba(120,220,255,0.2)",
+      barrierOff: "rgba(120,220,255,0.3)",
+
+      bossCore: "rgba(255,90,90,0.95)",         // RED, the part that ends it
+      extraLife: "rgba(90,255,150,0.95)",       // GREEN pickup
+    };
+
+    // per pickup kind: icon colour and its name in the HUD / popup
+    const PICKUP_STYLE = {
+      missiles: { color: COLORS.missile, label: "MISSILES" },
+      rapid: { color: COLORS.playerLaser, label: "RAPID FIRE" },
+      shield: { color: COLORS.barrier, label: "SHIELD BOOST" },
+      magnet: { color: COLORS.vent, label: "SCORE MAGNET" },
+      life: { color: COLORS.extraLife, label: "EXTRA LIFE" },
+    };
 
-      if (this.z > TUNE.farZ + 350) this.alive = false;
-      if (this.z < game.shipZ - 280) this.alive = false;
+    // ============================================================
+    // Settings -> tuning / audio
+    // ============================================================
+    function applySettings(settings) {
+      applyDifficulty(settings.difficulty);
+
+      TUNE.volume = settings.volume;
+      TUNE.sfxVolume = settings.sfxVolume;
+      TUNE.musicVolume = settings.musicVolume;
+      if (audio) {
+        audio.setVolumes({ master: TUNE.volume, sfx: TUNE.sfxVolume, music: TUNE.musicVolume, muted: settings.muted });
+      }
+      TUNE.reducedMotion = settings.reducedMotion;
+      TUNE.hudScale = settings.hudScale;
+      if (settings.reducedMotion) TUNE.speedLines = 0;
     }
+    applySettings(SETTINGS);
 
-    draw() {
-      const p = cam.project(this.x - game.ship.x, this.y - game.ship.y, this.z);
+    // ============================================================
+    // Entities (drawing; the classes live in game/core.js)
+    // ============================================================
+    function drawLaser(s) {
+      const p = cam.project(s.x - game.ship.x, s.y - game.ship.y, s.z);
       ctx.save();
 
-      ctx.strokeStyle = this.owner === "player" ? COLORS.playerLaser : COLORS.enemyLaser;
+      ctx.strokeStyle = s.owner === "player" ? COLORS.playerLaser : COLORS.enemyLaser;
       ctx.lineWidth = Math.max(1, 2.4 * p.s);
 
       ctx.beginPath();
@@ -217,35 +474,16 @@
 
       ctx.restore();
     }
-  }
-
-  class MissileShot {
-    constructor(x, y, z) {
-      this.x = x; this.y = y; this.z = z;
-      this.alive = true;
-      this.speed = 720;
-      this.radius = 34;
-      this.trail = [];
-      this.trailMax = 14;
-    }
-    update(dt) {
-      this.trail.push({ x: this.x, y: this.y, z: this.z });
-      if (this.trail.length > this.trailMax) this.trail.shift();
 
-      this.z += this.speed * dt;
-      this.z -= game.scrollSpeed * dt;
-
-      if (this.z > TUNE.farZ + 350) this.alive = false;
-    }
-    draw() {
+    function drawMissile(m) {
       ctx.save();
 
       // ✅ blue trail
       ctx.strokeStyle = COLORS.missileTrail;
       ctx.lineWidth = 2;
       ctx.beginPath();
-      for (let i = 0; i < this.trail.length; i++) {
-        const t = this.trail[i];
+      for (let i = 0; i < m.trail.length; i++) {
+        const t = m.trail[i];
         const p = cam.project(t.x - game.ship.x, t.y - game.ship.y, t.z);
         if (i === 0) ctx.moveTo(p.x, p.y);
         else ctx.lineTo(p.x, p.y);
@@ -253,7 +491,7 @@
       ctx.stroke();
 
       // ✅ blue missile
-      const p = cam.project(this.x - game.ship.x, this.y - game.ship.y, this.z);
+      const p = cam.project(m.x - game.ship.x, m.y - game.ship.y, m.z);
       ctx.strokeStyle = COLORS.missile;
       ctx.lineWidth = Math.max(1, 2.6 * p.s);
 
@@ -268,59 +506,29 @@
 
       ctx.restore();
     }
-  }
-
-  class Enemy {
-    constructor(x, y, z, rng) {
-      this.x = x; this.y = y; this.z = z;
-      this.vx = (rng() * 2 - 1) * 0.45;
-      this.vy = (rng() * 2 - 1) * 0.30;
-      this.hp = 2;
-      this.alive = true;
-      this.rng = rng;
-
-      this.fireCd =
-        TUNE.enemyShotCooldownMin +
-        rng() * (TUNE.enemyShotCooldownMax - TUNE.enemyShotCooldownMin);
-    }
-
-    update(dt) {
-      // gentle tracking toward player
-      const sx = clamp((game.ship.x - this.x) * 0.08, -0.25, 0.25);
-      const sy = clamp((game.ship.y - this.y) * 0.07, -0.22, 0.22);
-      this.vx = clamp(this.vx + sx * dt, -0.9, 0.9);
-      this.vy = clamp(this.vy + sy * dt, -0.75, 0.75);
-
-      this.x += this.vx * dt * 60;
-      this.y += this.vy * dt * 60;
-
-      this.z -= game.scrollSpeed * dt;
-
-      // calmer fire
-      this.fireCd -= dt;
-      if (this.fireCd <= 0 && this.z < game.shipZ + 1100 && this.z > game.shipZ + 260) {
-        this.fireCd =
-          TUNE.enemyShotCooldownMin +
-          this.rng() * (TUNE.enemyShotCooldownMax - TUNE.enemyShotCooldownMin);
-
-        if (Math.random() < TUNE.enemyShotsChance) {
-          game.enemyShots.push(new LaserShot(this.x, this.y, this.z, "enemy"));
-        }
-      }
 
-      if (this.z < game.shipZ - 160) this.alive = false;
-    }
-
-    draw() {
-      const p = cam.project(this.x - game.ship.x, this.y - game.ship.y, this.z);
+    function drawEnemy(e) {
+      const p = cam.project(e.x - game.ship.x, e.y - game.ship.y, e.z);
       const s = p.s;
-      const size = 18 + 40 * s;
+      const size = (18 + 40 * s) * e.size;
 
       ctx.save();
       ctx.translate(p.x, p.y);
       ctx.strokeStyle = COLORS.ui;
       ctx.lineWidth = Math.max(1, 2.2 * s);
 
+      if (e.kind === "diver") drawDiver(e, size);
+      else if (e.kind === "heavy") drawHeavy(e, size, s);
+      else if (e.kind === "turret") drawTurret(e, size);
+      else if (e.boss) drawHardpoint(e, size, s);
+      else drawInterceptor(size);
+
+      ctx.restore();
+    }
+
+    // shapes below draw around (0,0) in the enemy's projected spot
+
+    function drawInterceptor(size) {
       // simple interceptor silhouette (original, not copying)
       ctx.beginPath();
       ctx.moveTo(0, -size * 0.75);
@@ -347,842 +555,2052 @@
       ctx.lineTo(size * 0.85, size * 0.38);
       ctx.lineTo(size * 0.26, size * 0.52);
       ctx.stroke();
-
-      ctx.restore();
     }
 
-    hit(dmg) {
-      this.hp -= dmg;
-      if (this.hp <= 0) this.alive = false;
-    }
-  }
+    // swept-back dart; wings fold in once it commits to the dive
+    function drawDiver(e, size) {
+      const sweep = e.diving ? 0.35 : 0.7;
+      ctx.strokeStyle = COLORS.diver;
 
-  class Pipe {
-    constructor(side, y, z, protrude, thickness) {
-      this.side = side; // -1 left wall, +1 right wall
-      this.y = y;
-      this.z = z;
-      this.protrude = protrude;
-      this.thickness = thickness;
-      this.alive = true;
-    }
-    update(dt) {
-      this.z -= game.scrollSpeed * dt;
-      if (this.z < game.shipZ - 280) this.alive = false;
+      ctx.beginPath();
+      ctx.moveTo(0, size * 0.7);
+      ctx.lineTo(-size * sweep, -size * 0.45);
+      ctx.lineTo(0, -size * 0.15);
+      ctx.lineTo(size * sweep, -size * 0.45);
+      ctx.closePath();
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(0, -size * 0.15);
+      ctx.lineTo(0, size * 0.35);
+      ctx.stroke();
     }
-    draw() {
-      const halfW = trenchHalfWAt(this.z);
-      const wallX = this.side * halfW;
-      const innerX = wallX - this.side * this.protrude;
 
-      const a = cam.project((wallX - game.ship.x), (this.y - game.ship.y), this.z);
-      const b = cam.project((innerX - game.ship.x), (this.y - game.ship.y), this.z);
+    // blocky hull with plate seams and a gun under each side
+    function drawHeavy(e, size, s) {
+      ctx.strokeStyle = COLORS.armor;
+      ctx.lineWidth = Math.max(1, 3 * s);
 
-      ctx.save();
-      ctx.strokeStyle = COLORS.ui;
-      ctx.lineWidth = Math.max(1, this.thickness * a.s * 0.6);
+      ctx.beginPath();
+      ctx.moveTo(-size * 0.35, -size * 0.5);
+      ctx.lineTo(size * 0.35, -size * 0.5);
+      ctx.lineTo(size * 0.6, -size * 0.1);
+      ctx.lineTo(size * 0.6, size * 0.3);
+      ctx.lineTo(-size * 0.6, size * 0.3);
+      ctx.lineTo(-size * 0.6, -size * 0.1);
+      ctx.closePath();
+      ctx.stroke();
 
+      ctx.lineWidth = Math.max(1, 1.4 * s);
       ctx.beginPath();
-      ctx.moveTo(a.x, a.y);
-      ctx.lineTo(b.x, b.y);
+      ctx.moveTo(-size * 0.6, -size * 0.1);
+      ctx.lineTo(size * 0.6, -size * 0.1);
+      ctx.moveTo(-size * 0.2, -size * 0.5);
+      ctx.lineTo(-size * 0.2, size * 0.3);
+      ctx.moveTo(size * 0.2, -size * 0.5);
+      ctx.lineTo(size * 0.2, size * 0.3);
       ctx.stroke();
 
       ctx.beginPath();
-      ctx.arc(b.x, b.y, Math.max(2, 6 * b.s), 0, Math.PI * 2);
+      ctx.moveTo(-size * 0.45, size * 0.3);
+      ctx.lineTo(-size * 0.45, size * 0.55);
+      ctx.moveTo(size * 0.45, size * 0.3);
+      ctx.lineTo(size * 0.45, size * 0.55);
       ctx.stroke();
 
-      ctx.restore();
+      // one missile hit left: plating cracked
+      if (e.hp < 2) {
+        ctx.beginPath();
+        ctx.moveTo(-size * 0.1, -size * 0.5);
+        ctx.lineTo(size * 0.05, -size * 0.25);
+        ctx.lineTo(-size * 0.05, 0);
+        ctx.stroke();
+      }
     }
-    collidesWithShip() {
-      if (Math.abs(this.z - game.shipZ) > 95) return false;
 
-      const halfW = trenchHalfWAt(this.z);
-      const wallX = this.side * halfW;
-      const innerX = wallX - this.side * this.protrude;
+    // wall mount with a barrel pointing into the trench
+    function drawTurret(e, size) {
+      const toward = -e.side; // barrel points away from its wall
+      ctx.strokeStyle = COLORS.turret;
 
-      const pipeMinX = Math.min(wallX, innerX);
-      const pipeMaxX = Math.max(wallX, innerX);
+      ctx.beginPath();
+      ctx.moveTo(-toward * size * 0.35, -size * 0.45);
+      ctx.lineTo(-toward * size * 0.35, size * 0.45);
+      ctx.stroke();
 
-      const shipX = game.ship.x;
-      const shipY = game.ship.y;
+      ctx.beginPath();
+      ctx.arc(0, 0, size * 0.28, 0, Math.PI * 2);
+      ctx.stroke();
 
-      const withinX = shipX + game.shipHitR > pipeMinX && shipX - game.shipHitR < pipeMaxX;
-      const withinY = Math.abs(shipY - this.y) < 45;
+      ctx.beginPath();
+      ctx.moveTo(toward * size * 0.28, 0);
+      ctx.lineTo(toward * size * 0.75, -size * 0.08);
+      ctx.stroke();
 
-      return withinX && withinY;
+      // hit marks, one per hp lost
+      for (let i = 0; i < 3 - e.hp; i++) {
+        ctx.beginPath();
+        ctx.arc(0, 0, size * (0.1 + i * 0.06), 0, Math.PI * 2);
+        ctx.stroke();
+      }
     }
-  }
 
-  // ============================================================
-  // Cockpit (improved)
-  // ============================================================
-  function drawCockpit(t) {
-    const bob = Math.sin(t * 6.0) * 1.2 + Math.sin(t * 10.0) * 0.7;
-    ctx.save();
-    ctx.translate(0, bob);
-
-    // Bottom mask (deep cockpit body)
-    ctx.fillStyle = COLORS.cockpitFill;
-    ctx.beginPath();
-    ctx.moveTo(0, H);
-    ctx.lineTo(0, H - 190);
-    ctx.lineTo(W * 0.18, H - 155);
-    ctx.lineTo(W * 0.50, H - 140);
-    ctx.lineTo(W * 0.82, H - 155);
-    ctx.lineTo(W, H - 190);
-    ctx.lineTo(W, H);
-    ctx.closePath();
-    ctx.fill();
-
-    // Inner dashboard "plate"
-    ctx.fillStyle = COLORS.cockpitFill2;
-    ctx.beginPath();
-    ctx.moveTo(W * 0.10, H - 28);
-    ctx.lineTo(W * 0.18, H - 115);
-    ctx.lineTo(W * 0.50, H - 132);
-    ctx.lineTo(W * 0.82, H - 115);
-    ctx.lineTo(W * 0.90, H - 28);
-    ctx.closePath();
-    ctx.fill();
-
-    // Canopy glass hint (subtle)
-    ctx.fillStyle = COLORS.cockpitGlass;
-    ctx.beginPath();
-    ctx.moveTo(W * 0.14, H - 178);
-    ctx.lineTo(W * 0.14, H - 86);
-    ctx.lineTo(W * 0.86, H - 86x; // placeholder removed by next line
-    ctx.closePath();
-    ctx.restore();
-  }
-
-  // --- Fix a tiny typo from the editor above (keep everything valid) ---
-  // We'll re-define drawCockpit immediately with the correct final version.
-  function drawCockpit(t) {
-    const bob = Math.sin(t * 6.0) * 1.2 + Math.sin(t * 10.0) * 0.7;
-    ctx.save();
-    ctx.translate(0, bob);
-
-    // Bottom mask (deep cockpit body)
-    ctx.fillStyle = COLORS.cockpitFill;
-    ctx.beginPath();
-    ctx.moveTo(0, H);
-    ctx.lineTo(0, H - 190);
-    ctx.lineTo(W * 0.18, H - 155);
-    ctx.lineTo(W * 0.50, H - 140);
-    ctx.lineTo(W * 0.82, H - 155);
-    ctx.lineTo(W, H - 190);
-    ctx.lineTo(W, H);
-    ctx.closePath();
-    ctx.fill();
-
-    // Inner dashboard "plate"
-    ctx.fillStyle = COLORS.cockpitFill2;
-    ctx.beginPath();
-    ctx.moveTo(W * 0.10, H - 28);
-    ctx.lineTo(W * 0.18, H - 115);
-    ctx.lineTo(W * 0.50, H - 132);
-    ctx.lineTo(W * 0.82, H - 115);
-    ctx.lineTo(W * 0.90, H - 28);
-    ctx.closePath();
-    ctx.fill();
-
-    // Canopy glass hint (subtle)
-    ctx.fillStyle = COLORS.cockpitGlass;
-    ctx.beginPath();
-    ctx.moveTo(W * 0.14, H - 178);
-    ctx.lineTo(W * 0.14, H - 92);
-    ctx.lineTo(W * 0.86, H - 92);
-    ctx.lineTo(W * 0.86, H - 178);
-    ctx.closePath();
-    ctx.fill();
-
-    // Outline frame
-    ctx.strokeStyle = COLORS.cockpitLine;
-    ctx.lineWidth = 2;
-    ctx.globalAlpha = 0.90;
-
-    // Outer canopy frame
-    strokePoly([
-      [W * 0.12, H - 178],
-      [W * 0.12, H - 26],
-      [W * 0.88, H - 26],
-      [W * 0.88, H - 178],
-    ]);
-
-    // Struts (strong)
-    ctx.globalAlpha = 0.95;
-    strokeLine(W * 0.20, H - 26, W * 0.34, H - 198);
-    strokeLine(W * 0.80, H - 26, W * 0.66, H - 198);
-
-    // Center strut (subtle)
-    ctx.globalAlpha = 0.55;
-    strokeLine(W * 0.50, H - 26, W * 0.50, H - 200);
-
-    // Side panel outlines
-    ctx.globalAlpha = 0.60;
-    ctx.strokeStyle = COLORS.cockpitLineDim;
-    ctx.strokeRect(W * 0.06, H - 122, 150, 84);
-    ctx.strokeRect(W - (W * 0.06 + 150), H - 122, 150, 84);
-
-    // Center instrument bay
-    ctx.globalAlpha = 0.75;
-    ctx.strokeStyle = COLORS.cockpitLine;
-    ctx.strokeRect(W * 0.50 - 120, H - 158, 240, 130);
-
-    // Little instruments/ticks
-    ctx.globalAlpha = 0.35;
-    for (let i = 0; i < 14; i++) {
-      const x = W * 0.50 - 106 + i * 16;
-      strokeLine(x, H - 46, x, H - 60 - (i % 2) * 7);
-    }
-
-    // Dash hood ridge
-    ctx.globalAlpha = 0.65;
-    strokePoly([
-      [W * 0.22, H - 115],
-      [W * 0.50, H - 136],
-      [W * 0.78, H - 115],
-    ]);
-
-    // Wing edges (cleaner)
-    ctx.globalAlpha = 0.90;
-    ctx.strokeStyle = COLORS.cockpitLine;
-    strokeLine(W * 0.02, H - 26, W * 0.20, H - 96);
-    strokeLine(W * 0.20, H - 96, W * 0.42, H - 104);
-
-    strokeLine(W * 0.98, H - 26, W * 0.80, H - 96);
-    strokeLine(W * 0.80, H - 96, W * 0.58, H - 104);
-
-    // Gun barrels
-    drawBarrel(W * 0.22, H - 92);
-    drawBarrel(W * 0.78, H - 92);
-
-    // Glass reflections (diagonal faint)
-    ctx.globalAlpha = 0.16;
-    ctx.strokeStyle = COLORS.ui;
-    ctx.lineWidth = 1;
-    strokeLine(W * 0.18, H - 168, W * 0.44, H - 110);
-    strokeLine(W * 0.82, H - 168, W * 0.56, H - 110);
-
-    ctx.globalAlpha = 1;
-    ctx.restore();
-  }
-
-  function drawBarrel(x, y) {
-    ctx.save();
-    ctx.translate(x, y);
-    ctx.strokeStyle = COLORS.cockpitLine;
-    ctx.lineWidth = 2;
-
-    // mount
-    ctx.beginPath();
-    ctx.moveTo(-26, 0);
-    ctx.lineTo(-10, -18);
-    ctx.lineTo(22, -18);
-    ctx.lineTo(38, 0);
-    ctx.closePath();
-    ctx.stroke();
-
-    // barrel
-    ctx.beginPath();
-    ctx.moveTo(14, -18);
-    ctx.lineTo(14, -46);
-    ctx.stroke();
-
-    // side fin
-    ctx.globalAlpha = 0.6;
-    ctx.beginPath();
-    ctx.moveTo(-2, -12);
-    ctx.lineTo(-22, -2);
-    ctx.stroke();
-    ctx.globalAlpha = 1;
-
-    ctx.restore();
-  }
+    // boss parts: gun barrels, generator coils, and the core inside its
+    // shield ring while a generator stands; a bar under each shows its hp
+    function drawHardpoint(e, size, s) {
+      if (e.kind === "gun") {
+        ctx.strokeStyle = COLORS.turret;
+        ctx.strokeRect(-size * 0.3, -size * 0.3, size * 0.6, size * 0.6);
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(0, size * 0.7);
+        ctx.stroke();
+      } else if (e.kind === "generator") {
+        ctx.strokeStyle = COLORS.barrier;
+        for (let i = 0; i < 3; i++) {
+          ctx.beginPath();
+          ctx.ellipse(0, (i - 1) * size * 0.25, size * 0.45, size * 0.12, 0, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+      } else {
+        ctx.strokeStyle = COLORS.bossCore;
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 0.35, 0, Math.PI * 2);
+        ctx.stroke();
+        if (e.deflects()) {
+          ctx.strokeStyle = COLORS.barrier;
+          ctx.setLineDash([4, 4]);
+          ctx.beginPath();
+          ctx.arc(0, 0, size * 0.6, 0, Math.PI * 2);
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
+      }
 
-  function strokeLine(x0, y0, x1, y1) {
-    ctx.beginPath();
-    ctx.moveTo(x0, y0);
-    ctx.lineTo(x1, y1);
-    ctx.stroke();
-  }
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.globalAlpha = 0.7;
+      ctx.fillRect(-size * 0.4, size * 0.8, size * 0.8 * (e.hp / e.hpMax), Math.max(2, 4 * s));
+    }
 
-  function strokePoly(points) {
-    ctx.beginPath();
-    ctx.moveTo(points[0][0], points[0][1]);
-    for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
-    ctx.closePath();
-    ctx.stroke();
-  }
+    // the hull the hardpoints sit on: a broad armored wedge across the trench
+    function drawBoss(b) {
+      const halfW = trenchHalfWAt(b.z);
+      const halfH = trenchHalfHAt(b.z);
+      const HULL = [[-0.85, -0.2], [-0.5, -0.6], [0.5, -0.6], [0.85, -0.2], [0.7, 0.45], [-0.7, 0.45]];
+      const pts = HULL.map(([u, v]) => cam.project(b.x + u * halfW - game.ship.x, b.y + v * halfH - game.ship.y, b.z));
 
-  function drawReticle() {
-    ctx.save();
-    ctx.strokeStyle = "rgba(230,240,255,0.85)";
-    ctx.lineWidth = 2;
+      ctx.save();
+      ctx.beginPath();
+      for (const p of pts) ctx.lineTo(p.x, p.y);
+      ctx.closePath();
+      ctx.fillStyle = COLORS.plate;
+      ctx.fill();
+      ctx.strokeStyle = COLORS.armor;
+      ctx.lineWidth = Math.max(1, 2.5 * pts[0].s);
+      ctx.stroke();
 
-    const cx = W * 0.5;
-    const cy = H * 0.42 + game.ship.y * 0.55; // follows a bit
+      // spine and the phase shown as cracks across the plating
+      const top = cam.project(b.x - game.ship.x, b.y - 0.6 * halfH - game.ship.y, b.z);
+      const bottom = cam.project(b.x - game.ship.x, b.y + 0.45 * halfH - game.ship.y, b.z);
+      ctx.beginPath();
+      ctx.moveTo(top.x, top.y);
+      ctx.lineTo(bottom.x, bottom.y);
+      for (let i = 1; i < b.phase; i++) {
+        const a = cam.project(b.x + (i === 1 ? -0.6 : 0.6) * halfW - game.ship.x, b.y - game.ship.y, b.z);
+        ctx.moveTo(a.x, a.y - 12 * a.s);
+        ctx.lineTo(a.x + 20 * a.s, a.y + 10 * a.s);
+        ctx.lineTo(a.x + 4 * a.s, a.y + 30 * a.s);
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
 
-    ctx.beginPath();
-    ctx.moveTo(cx - 18, cy);
-    ctx.lineTo(cx + 18, cy);
-    ctx.stroke();
+    // a spinning ring around the kind's glyph, bobbing so it reads as loose
+    function drawPickup(p) {
+      const bob = TUNE.reducedMotion ? 0 : Math.sin(p.age * 4) * 8;
+      const c = cam.project(p.x - game.ship.x, p.y + bob - game.ship.y, p.z);
+      const r = 10 + 24 * c.s;
+      const style = PICKUP_STYLE[p.kind];
 
-    ctx.beginPath();
-    ctx.moveTo(cx, cy - 18);
-    ctx.lineTo(cx, cy + 18);
-    ctx.stroke();
+      ctx.save();
+      ctx.translate(c.x, c.y);
+      ctx.strokeStyle = style.color;
+      ctx.lineWidth = Math.max(1, 2 * c.s);
 
-    ctx.globalAlpha = 0.65;
-    ctx.strokeRect(cx - 34, cy - 34, 68, 68);
-    ctx.globalAlpha = 1;
+      ctx.setLineDash([r * 0.5, r * 0.3]);
+      ctx.lineDashOffset = TUNE.reducedMotion ? 0 : -p.age * 30;
+      ctx.beginPath();
+      ctx.arc(0, 0, r, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
 
-    ctx.restore();
-  }
+      const g = r * 0.55;
+      ctx.beginPath();
+      if (p.kind === "missiles") {
+        // nose, body, fins
+        ctx.moveTo(0, -g);
+        ctx.lineTo(g * 0.3, -g * 0.5);
+        ctx.lineTo(g * 0.3, g * 0.6);
+        ctx.lineTo(-g * 0.3, g * 0.6);
+        ctx.lineTo(-g * 0.3, -g * 0.5);
+        ctx.closePath();
+        ctx.moveTo(-g * 0.3, g * 0.2);
+        ctx.lineTo(-g * 0.7, g);
+        ctx.moveTo(g * 0.3, g * 0.2);
+        ctx.lineTo(g * 0.7, g);
+      } else if (p.kind === "rapid") {
+        // three bolts
+        for (let i = -1; i <= 1; i++) {
+          ctx.moveTo(i * g * 0.5, -g);
+          ctx.lineTo(i * g * 0.5, g);
+        }
+      } else if (p.kind === "shield") {
+        for (let i = 0; i < 6; i++) {
+          const a = (i / 6) * Math.PI * 2 + Math.PI / 6;
+          ctx.lineTo(Math.cos(a) * g, Math.sin(a) * g);
+        }
+        ctx.closePath();
+      } else if (p.kind === "magnet") {
+        // horseshoe, poles down
+        ctx.arc(0, -g * 0.1, g * 0.7, Math.PI, 0);
+        ctx.lineTo(g * 0.7, g);
+        ctx.moveTo(-g * 0.7, -g * 0.1);
+        ctx.lineTo(-g * 0.7, g);
+        ctx.moveTo(-g, g * 0.55);
+        ctx.lineTo(-g * 0.4, g * 0.55);
+        ctx.moveTo(g * 0.4, g * 0.55);
+        ctx.lineTo(g, g * 0.55);
+      } else {
+        ctx.moveTo(0, -g);
+        ctx.lineTo(0, g);
+        ctx.moveTo(-g, 0);
+        ctx.lineTo(g, 0);
+      }
+      ctx.stroke();
+      ctx.restore();
+    }
 
-  function drawHUD() {
-    ctx.save();
-    ctx.fillStyle = COLORS.ui;
-    ctx.font = "16px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
-
-    ctx.fillText(`SCORE ${game.score}`, 22, 34);
-    ctx.font = "14px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
-    ctx.globalAlpha = 0.9;
-    ctx.fillText(`ROUND ${game.round}`, 22, 56);
-    ctx.globalAlpha = 1;
-
-    ctx.font = "16px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
-    ctx.fillText(`LIVES ${game.lives}`, W - 130, 34);
-    ctx.font = "14px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
-    ctx.globalAlpha = 0.9;
-    ctx.fillText(`MISSILES ${game.missiles}`, W - 170, 56);
-    ctx.globalAlpha = 1;
-
-    ctx.globalAlpha = 0.85;
-    ctx.fillText(`SPEED ${Math.floor(game.scrollSpeed)}`, W * 0.5 - 56, 34);
-    ctx.globalAlpha = 1;
-
-    ctx.restore();
-  }
+    // far off (past warnZ) everything draws as a dashed amber outline,
+    // so there's time to pick a way through
+    function drawObstacle(o) {
+      const warn = o.z - game.shipZ > TUNE.warnZ;
+      ctx.save();
+      ctx.strokeStyle = warn ? COLORS.warn : COLORS.ui;
+      if (warn) ctx.setLineDash([6, 5]);
 
-  function overlay(title, lines) {
-    ctx.save();
-    ctx.fillStyle = COLORS.ui;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
+      if (o.kind === "catwalk") drawCatwalk(o, warn);
+      else if (o.kind === "beam") drawBeam(o, warn);
+      else if (o.kind === "door") drawBlastDoor(o, warn);
+      else if (o.kind === "barrier") drawBarrier(o, warn);
+      else drawPipe(o);
 
-    ctx.font = "34px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
-    ctx.fillText(title, W / 2, H / 2 - 30);
+      ctx.restore();
+    }
 
-    ctx.font = "16px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
-    let y = H / 2 + 10;
-    for (const line of lines) {
-      ctx.globalAlpha = 0.9;
-      ctx.fillText(line, W / 2, y);
-      y += 22;
+    // corners of an upright rectangle (world x/y) at depth z, on screen
+    function slab(x0, x1, y0, y1, z) {
+      const sx = game.ship.x;
+      const sy = game.ship.y;
+      return [
+        cam.project(x0 - sx, y0 - sy, z),
+        cam.project(x1 - sx, y0 - sy, z),
+        cam.project(x1 - sx, y1 - sy, z),
+        cam.project(x0 - sx, y1 - sy, z),
+      ];
     }
-    ctx.globalAlpha = 1;
 
-    ctx.restore();
-  }
+    function drawSlab(c, fill) {
+      ctx.lineWidth = Math.max(1, 2 * c[0].s);
+      ctx.beginPath();
+      ctx.moveTo(c[0].x, c[0].y);
+      for (let i = 1; i < 4; i++) ctx.lineTo(c[i].x, c[i].y);
+      ctx.closePath();
+      if (fill) {
+        ctx.fillStyle = fill;
+        ctx.fill();
+      }
+      ctx.stroke();
+    }
 
-  // ============================================================
-  // Motion / background
-  // ============================================================
-  function drawSpeedLines(t) {
-    ctx.save();
-    ctx.globalAlpha = 0.12;
-    ctx.strokeStyle = COLORS.ui;
-    ctx.lineWidth = 1;
+    function drawCatwalk(o, warn) {
+      const cx = trenchCenterAt(o.z);
+      const halfW = trenchHalfWAt(o.z);
+      const h = o.thickness / 2;
+      drawSlab(slab(cx - halfW, cx + halfW, o.y - h, o.y + h, o.z), warn ? null : COLORS.plate);
 
-    const r = makeRng(4242);
-    for (let i = 0; i < TUNE.speedLines; i++) {
-      const x = r() * W;
-      const y = r() * (cam.horizonY + 55);
-      const len = 18 + r() * 22;
+      // handrail
+      const a = slab(cx - halfW, cx + halfW, o.y + h + 16, o.y + h + 16, o.z);
+      line(a[0], a[1]);
+    }
 
-      const phase = (t * game.scrollSpeed * 0.16 + i * 21) % 240;
-      const yy = y + phase;
+    function drawBeam(o, warn) {
+      const x = o.xAt();
+      const w = o.width / 2;
+      const h = trenchHalfHAt(o.z);
+      const c = slab(x - w, x + w, -h, h, o.z);
+      drawSlab(c, warn ? null : COLORS.plate);
+      line(c[0], c[2]); // bracing
+    }
 
-      ctx.beginPath();
-      ctx.moveTo(x, yy);
-      ctx.lineTo(x, yy + len);
-      ctx.stroke();
+    function drawBlastDoor(o, warn) {
+      const cx = trenchCenterAt(o.z);
+      const halfW = trenchHalfWAt(o.z);
+      const h = trenchHalfHAt(o.z);
+      const { left, right } = o.edges();
+      const fill = warn ? null : COLORS.plate;
+      drawSlab(slab(cx - halfW, left, -h, h, o.z), fill);
+      drawSlab(slab(right, cx + halfW, -h, h, o.z), fill);
     }
-    ctx.restore();
-  }
 
-  // ============================================================
-  // Trench drawing (OPEN TOP, no roof line)
-  // ============================================================
-  function drawTrench(t) {
-    const zMin = game.shipZ + 120;
-    const zMax = TUNE.farZ;
-    const range = zMax - zMin;
+    function drawBarrier(o, warn) {
+      const cx = trenchCenterAt(o.z);
+      const halfW = trenchHalfWAt(o.z);
+      const H2 = trenchHalfHAt(o.z);
+      const c =
+        o.half === "low" ? slab(cx - halfW, cx + halfW, -H2, 0, o.z)
+        : o.half === "high" ? slab(cx - halfW, cx + halfW, 0, H2, o.z)
+        : o.half === "left" ? slab(cx - halfW, cx, -H2, H2, o.z)
+        : slab(cx, cx + halfW, -H2, H2, o.z);
+
+      if (warn) {
+        drawSlab(c, null);
+        return;
+      }
+      const on = o.on();
+      ctx.strokeStyle = on ? COLORS.barrier : COLORS.barrierOff;
+      drawSlab(c, on ? COLORS.barrierFill : null);
+    }
 
-    const phase = (t * game.scrollSpeed) % TUNE.segmentLen;
+    function drawPipe(p) {
+      const halfW = trenchHalfWAt(p.z);
+      const wallX = trenchCenterAt(p.z) + p.side * halfW;
+      const innerX = wallX - p.side * p.protrude;
 
-    // Draw far -> near for depth layering
-    for (let i = TUNE.slices; i >= 1; i--) {
-      const u0 = (i - 1) / TUNE.slices;
-      const u1 = i / TUNE.slices;
+      const a = cam.project((wallX - game.ship.x), (p.y - game.ship.y), p.z);
+      const b = cam.project((innerX - game.ship.x), (p.y - game.ship.y), p.z);
 
-      let z0 = zMin + u0 * range - phase;
-      let z1 = zMin + u1 * range - phase;
-      while (z0 < zMin) z0 += range;
-      while (z1 < zMin) z1 += range;
+      ctx.save();
+      ctx.lineWidth = Math.max(1, p.thickness * a.s * 0.6);
 
-      const halfW0 = trenchHalfWAt(z0);
-      const halfW1 = trenchHalfWAt(z1);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
 
-      const yTop = +TUNE.trenchHalfH;
-      const yBot = -TUNE.trenchHalfH;
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, Math.max(2, 6 * b.s), 0, Math.PI * 2);
+      ctx.stroke();
 
-      const L0T = cam.project((-halfW0 - game.ship.x), (yTop - game.ship.y), z0);
-      const L0B = cam.project((-halfW0 - game.ship.x), (yBot - game.ship.y), z0);
-      const R0T = cam.project((+halfW0 - game.ship.x), (yTop - game.ship.y), z0);
-      const R0B = cam.project((+halfW0 - game.ship.x), (yBot - game.ship.y), z0);
+      ctx.restore();
+    }
 
-      const L1T = cam.project((-halfW1 - game.ship.x), (yTop - game.ship.y), z1);
-      const L1B = cam.project((-halfW1 - game.ship.x), (yBot - game.ship.y), z1);
-      const R1T = cam.project((+halfW1 - game.ship.x), (yTop - game.ship.y), z1);
-      const R1B = cam.project((+halfW1 - game.ship.x), (yBot - game.ship.y), z1);
+    function drawVent(v) {
+      const r = v.radius;
+      const pts = [];
+      for (let i = 0; i < 12; i++) {
+        const a = (i / 12) * Math.PI * 2;
+        pts.push(cam.project(v.x + Math.cos(a) * r - game.ship.x, v.y - game.ship.y, v.z + Math.sin(a) * r));
+      }
+      const c = cam.project(v.x - game.ship.x, v.y - game.ship.y, v.z);
 
-      // fills
       ctx.save();
-      ctx.fillStyle = COLORS.trenchFill;
-
-      // floor quad
-      fillQuad(L0B, R0B, R1B, L1B);
+      ctx.strokeStyle = game.ventLocked() ? COLORS.lockOn : COLORS.vent;
+      ctx.lineWidth = Math.max(1, 2.4 * c.s);
 
-      // left wall quad
-      fillQuad(L0T, L0B, L1B, L1T);
+      // port rim
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, pts[0].y);
+      for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+      ctx.closePath();
+      ctx.stroke();
 
-      // right wall quad
-      fillQuad(R0T, R0B, R1B, R1T);
+      // inner hatch + cross
+      ctx.globalAlpha = 0.6;
+      ctx.beginPath();
+      for (let i = 0; i < pts.length; i++) {
+        const p = pts[i];
+        const x = lerp(c.x, p.x, 0.45);
+        const y = lerp(c.y, p.y, 0.45);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.closePath();
+      ctx.stroke();
+      line(pts[0], pts[6]);
+      line(pts[3], pts[9]);
+      ctx.globalAlpha = 1;
 
       ctx.restore();
+    }
 
-      // lines
-      ctx.save();
-      ctx.strokeStyle = COLORS.trenchLine;
-      ctx.lineWidth = 2;
+    // ============================================================
+    // Score popups (float up from a kill; timed on the sim clock so
+    // they pause, interpolate and scrub along with everything else)
+    // ============================================================
+    const POPUP_TIME = 0.9;
+    let popups = []; // { x, y, z, t0, points, combo, label }
 
-      // ✅ OPEN TOP: Do NOT draw line(L0T, R0T) (that looks like a roof)
-      // floor edge across
-      line(L0B, R0B);
+    function addPopup(d) {
+      popups.push({ x: d.x, y: d.y, z: d.z, t0: game.t, points: d.points, combo: d.combo, label: null });
+    }
 
-      // wall vertical edges (near slice)
-      line(L0T, L0B);
-      line(R0T, R0B);
+    // a collected pickup names itself instead
+    function addPickupPopup(d) {
+      popups.push({ x: d.x, y: d.y, z: d.z, t0: game.t, points: 0, combo: 1, label: PICKUP_STYLE[d.kind].label });
+    }
 
-      // wall "rails" along depth (side top edges only, not connected across)
-      ctx.globalAlpha = 0.35;
-      line(L0T, L1T);
-      line(R0T, R1T);
-      ctx.globalAlpha = 1;
+    // drifts with the trench like the enemy it came from
+    function popupZ(p, t) {
+      return p.z - game.scrollSpeed * (t - p.t0);
+    }
 
-      // floor rungs
-      if (i % TUNE.rungEvery === 0) {
-        ctx.globalAlpha = 0.30;
-        line(L0B, R0B);
-        ctx.globalAlpha = 1;
-      }
+    function drawPopup(p, t) {
+      const age = t - p.t0;
+      const c = cam.project(p.x - game.ship.x, p.y - game.ship.y, popupZ(p, t));
 
-      // wall panels/lights
-      if (i % TUNE.panelEvery === 0) {
-        drawWallPanel(z0, -1, halfW0, yTop, yBot, i);
-        drawWallPanel(z0, +1, halfW0, yTop, yBot, i + 7);
-      }
-      if (i % TUNE.lightEvery === 0) {
-        drawWallLight(z0, -1, halfW0, yTop, yBot);
-        drawWallLight(z0, +1, halfW0, yTop, yBot);
+      ctx.save();
+      ctx.globalAlpha = clamp(1 - age / POPUP_TIME, 0, 1);
+      ctx.fillStyle = p.combo > 1 ? COLORS.vent : COLORS.ui;
+      ctx.textAlign = "center";
+      ctx.font = `${Math.round(12 + 16 * c.s)}px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif`;
+      const y = c.y - 20 * c.s - age * 46;
+      ctx.fillText(p.label || `+${p.points}`, c.x, y);
+      if (p.combo > 1) {
+        ctx.font = "11px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+        ctx.fillText(`x${p.combo}`, c.x, y + 14);
       }
-
       ctx.restore();
     }
-  }
 
-  function fillQuad(a, b, c, d) {
-    ctx.beginPath();
-    ctx.moveTo(a.x, a.y);
-    ctx.lineTo(b.x, b.y);
-    ctx.lineTo(c.x, c.y);
-    ctx.lineTo(d.x, d.y);
-    ctx.closePath();
-    ctx.fill();
-  }
+    // ============================================================
+    // Particles (world space like the entities, but purely visual:
+    // Math.random is fine here, the sim never sees them)
+    // ============================================================
+    const MAX_PARTICLES = 360;
+    let particles = []; // { kind, x, y, z, vx, vy, vz, age, life, color, ... }
+    let hitFlash = 0;   // full-screen flash when the ship is hit, 1 -> 0
+    let shieldFlash = 0; // screen-edge glow when the shield takes a hit
+    let fxT = null;     // sim time the particles were last advanced to
+
+    const rand = (lo, hi) => lo + Math.random() * (hi - lo);
+
+    function clearParticles() {
+      particles = [];
+      hitFlash = 0;
+      shieldFlash = 0;
+      fxT = null;
+    }
 
-  function line(a, b) {
-    ctx.beginPath();
-    ctx.moveTo(a.x, a.y);
-    ctx.lineTo(b.x, b.y);
-    ctx.stroke();
-  }
+    // over the cap the oldest go first
+    function addParticle(p) {
+      particles.push({ age: 0, vx: 0, vy: 0, vz: 0, ...p });
+      if (particles.length > MAX_PARTICLES) particles.splice(0, particles.length - MAX_PARTICLES);
+    }
 
-  function drawWallPanel(z, side, halfW, yTop, yBot, seed) {
-    const r = makeRng(90000 + seed * 131 + Math.floor(z));
-    const wallX = side * halfW;
+    // n particles flying out of (x,y,z) at up to speed
+    function spray(kind, n, x, y, z, speed, life, color) {
+      for (let i = 0; i < n; i++) {
+        const a = rand(0, Math.PI * 2);
+        const b = rand(-1, 1);
+        const v = rand(0.35, 1) * speed;
+        const r = Math.sqrt(1 - b * b);
+        addParticle({
+          kind,
+          x, y, z,
+          vx: Math.cos(a) * r * v,
+          vy: b * v,
+          vz: Math.sin(a) * r * v,
+          life: rand(0.6, 1) * life,
+          color,
+          len: rand(8, 22),     // shards
+          angle: rand(0, Math.PI),
+          spin: rand(-9, 9),
+        });
+      }
+    }
 
-    const yy = lerp(yBot + 22, yTop - 22, r());
-    const inset = 18 + r() * 14;
-    const px = wallX - side * inset;
+    function spawnFx(name, x, y, z) {
+      if (name === "sparks") {
+        spray("streak", 7, x, y, z, 380, 0.28, COLORS.enemyLaser);
+      } else if (name === "debris") {
+        spray("shard", 14, x, y, z, 260, 1.2, COLORS.ui);
+        spray("streak", 10, x, y, z, 520, 0.4, COLORS.enemyLaser);
+        addParticle({ kind: "ring", x, y, z, life: 0.35, color: COLORS.enemyLaser, radius: 70 });
+      } else if (name === "flash") {
+        addParticle({ kind: "ring", x, y, z, life: 0.4, color: COLORS.missile, radius: 110 });
+        spray("streak", 10, x, y, z, 460, 0.35, COLORS.missile);
+      } else if (name === "shieldHit") {
+        shieldFlash = 1;
+        spray("streak", 8, x, y, z + 120, 420, 0.3, COLORS.missile);
+      } else if (name === "hullHit") {
+        hitFlash = 0.6;
+        spray("shard", 8, x, y, z + 120, 260, 0.8, COLORS.ui);
+        spray("streak", 10, x, y, z + 120, 520, 0.4, COLORS.playerLaser);
+      } else if (name === "shipHit") {
+        // just ahead of the nose so the camera sees it
+        hitFlash = 1;
+        spray("shard", 26, x, y, z + 140, 340, 1.1, COLORS.ui);
+        spray("streak", 18, x, y, z + 140, 600, 0.5, COLORS.playerLaser);
+        addParticle({ kind: "ring", x, y, z: z + 140, life: 0.6, color: COLORS.playerLaser, radius: 160 });
+      } else if (name === "pickup") {
+        addParticle({ kind: "ring", x, y, z: z + 120, life: 0.45, color: COLORS.vent, radius: 90 });
+        spray("streak", 8, x, y, z + 120, 320, 0.3, COLORS.vent);
+      }
+    }
 
-    const p = cam.project(px - game.ship.x, yy - game.ship.y, z);
-    const s = p.s;
+    // advanced on the (interpolated) sim clock: they freeze with pause
+    // and keep pace with replay speed; a seek backwards clears them
+    function updateParticles(t) {
+      const dt = fxT === null ? 0 : t - fxT;
+      fxT = t;
+      if (dt < 0) {
+        clearParticles();
+        return;
+      }
+      if (dt === 0) return;
+
+      hitFlash = Math.max(0, hitFlash - dt * 2.5);
+      shieldFlash = Math.max(0, shieldFlash - dt * 3);
+      for (const p of particles) {
+        p.age += dt;
+        p.x += p.vx * dt;
+        p.y += p.vy * dt;
+        p.z += (p.vz - game.scrollSpeed) * dt;
+        if (p.kind === "shard") {
+          p.vy -= 420 * dt;
+          p.angle += p.spin * dt;
+        }
+      }
+      particles = particles.filter((p) => p.age < p.life && p.z > game.shipZ - 100);
+    }
 
-    const w = (18 + r() * 22) * s;
-    const h = (10 + r() * 26) * s;
+    function drawParticle(p) {
+      const c = cam.project(p.x - game.ship.x, p.y - game.ship.y, p.z);
+      const fade = 1 - p.age / p.life;
 
-    ctx.save();
-    ctx.globalAlpha = 0.26;
-    ctx.lineWidth = 1;
-    ctx.strokeStyle = COLORS.ui;
-    ctx.strokeRect(p.x - w / 2, p.y - h / 2, w, h);
+      ctx.save();
+      ctx.strokeStyle = p.color;
+      ctx.globalAlpha = fade;
+      ctx.lineWidth = Math.max(1, 2 * c.s);
+
+      if (p.kind === "shard") {
+        const dx = Math.cos(p.angle) * p.len * c.s;
+        const dy = Math.sin(p.angle) * p.len * c.s;
+        strokeLine(c.x - dx, c.y - dy, c.x + dx, c.y + dy);
+      } else if (p.kind === "streak") {
+        const tail = cam.project(p.x - p.vx * 0.04 - game.ship.x, p.y - p.vy * 0.04 - game.ship.y, p.z - p.vz * 0.04);
+        strokeLine(tail.x, tail.y, c.x, c.y);
+      } else if (p.kind === "ring") {
+        const k = p.age / p.life;
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, Math.max(2, p.radius * (0.2 + 0.8 * k) * c.s), 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
 
-    if (r() < 0.65) {
-      ctx.globalAlpha = 0.14;
-      ctx.strokeRect(p.x - w / 4, p.y - h / 4, w / 2, h / 2);
+    // kept gentle with reduced motion
+    function drawHitFlash() {
+      ctx.save();
+      if (shieldFlash > 0) {
+        ctx.globalAlpha = shieldFlash * 0.8;
+        ctx.strokeStyle = COLORS.missile;
+        ctx.lineWidth = 18;
+        ctx.strokeRect(9, 9, W - 18, H - 18);
+      }
+      if (hitFlash > 0) {
+        ctx.globalAlpha = hitFlash * (TUNE.reducedMotion ? 0.2 : 0.6);
+        ctx.fillStyle = "#ffe9e0";
+        ctx.fillRect(0, 0, W, H);
+      }
+      ctx.restore();
     }
-    ctx.restore();
-  }
 
-  function drawWallLight(z, side, halfW, yTop, yBot) {
-    const r = makeRng(120000 + Math.floor(z) + side * 999);
-    const wallX = side * halfW;
-    const yy = lerp(yBot + 18, yTop - 18, r());
-    const px = wallX - side * 10;
+    // ============================================================
+    // Cockpit (improved)
+    // ============================================================
+    function drawCockpit(t) {
+      const bob = TUNE.reducedMotion ? 0 : Math.sin(t * 6.0) * 1.2 + Math.sin(t * 10.0) * 0.7;
+      ctx.save();
+      ctx.translate(0, bob);
 
-    const p = cam.project(px - game.ship.x, yy - game.ship.y, z);
-    const s = p.s;
+      // Bottom mask (deep cockpit body)
+      ctx.fillStyle = COLORS.cockpitFill;
+      ctx.beginPath();
+      ctx.moveTo(0, H);
+      ctx.lineTo(0, H - 190);
+      ctx.lineTo(W * 0.18, H - 155);
+      ctx.lineTo(W * 0.50, H - 140);
+      ctx.lineTo(W * 0.82, H - 155);
+      ctx.lineTo(W, H - 190);
+      ctx.lineTo(W, H);
+      ctx.closePath();
+      ctx.fill();
 
-    const len = (22 + r() * 30) * s;
-    ctx.save();
-    ctx.globalAlpha = 0.18;
-    ctx.strokeStyle = COLORS.ui;
-    ctx.lineWidth = Math.max(1, 2 * s);
+      // Inner dashboard "plate"
+      ctx.fillStyle = COLORS.cockpitFill2;
+      ctx.beginPath();
+      ctx.moveTo(W * 0.10, H - 28);
+      ctx.lineTo(W * 0.18, H - 115);
+      ctx.lineTo(W * 0.50, H - 132);
+      ctx.lineTo(W * 0.82, H - 115);
+      ctx.lineTo(W * 0.90, H - 28);
+      ctx.closePath();
+      ctx.fill();
 
-    ctx.beginPath();
-    ctx.moveTo(p.x - len / 2, p.y);
-    ctx.lineTo(p.x + len / 2, p.y);
-    ctx.stroke();
+      // Canopy glass hint (subtle)
+      ctx.fillStyle = COLORS.cockpitGlass;
+      ctx.beginPath();
+      ctx.moveTo(W * 0.14, H - 178);
+      ctx.lineTo(W * 0.14, H - 92);
+      ctx.lineTo(W * 0.86, H - 92);
+      ctx.lineTo(W * 0.86, H - 178);
+      ctx.closePath();
+      ctx.fill();
 
-    ctx.restore();
-  }
+      // Outline frame
+      ctx.strokeStyle = COLORS.cockpitLine;
+      ctx.lineWidth = 2;
+      ctx.globalAlpha = 0.90;
+
+      // Outer canopy frame
+      strokePoly([
+        [W * 0.12, H - 178],
+        [W * 0.12, H - 26],
+        [W * 0.88, H - 26],
+        [W * 0.88, H - 178],
+      ]);
 
-  // ============================================================
-  // Game state
-  // ============================================================
-  const game = {
-    state: "title",
-    rng: makeRng(1337),
-    t: 0,
-
-    // world
-    shipZ: 160,
-    trenchNearHalfW: TUNE.trenchNearHalfW,
-    trenchFarHalfW: TUNE.trenchFarHalfW,
-    scrollSpeed: 600,
-
-    // ship (sits lower by default)
-    ship: { x: 0, y: TUNE.sitLowerY, vx: 0, vy: 0 },
-    shipHitR: 42,
-
-    // gameplay
-    round: 1,
-    score: 0,
-    lives: 3,
-    missiles: 3,
-
-    // weapons
-    laserCd: 0,
-    missileCd: 0,
-    laserSide: -1,
-
-    // entities
-    enemies: [],
-    pipes: [],
-    playerShots: [], // LaserShot and MissileShot
-    enemyShots: [],  // LaserShot (enemy)
-
-    // spawners
-    enemyTimer: 0.9,
-    pipeTimer: 1.4,
-
-    togglePause() {
-      if (this.state === "playing") this.state = "paused";
-      else if (this.state === "paused") this.state = "playing";
-    },
-
-    newGame() {
-      this.round = 1;
-      this.score = 0;
-      this.lives = 3;
-      this.missiles = 3;
-
-      this.scrollSpeed = 600;
-      this.trenchNearHalfW = TUNE.trenchNearHalfW;
-      this.trenchFarHalfW = TUNE.trenchFarHalfW;
-
-      this.resetRound();
-      this.state = "playing";
-    },
-
-    resetRound() {
-      this.ship.x = 0;
-      this.ship.y = TUNE.sitLowerY; // ✅ sit lower every round
-      this.ship.vx = 0;
-      this.ship.vy = 0;
-
-      this.rng = makeRng(9000 + this.round * 101);
-
-      this.enemies = [];
-      this.pipes = [];
-      this.playerShots = [];
-      this.enemyShots = [];
-
-      this.enemyTimer = 1.0;
-      this.pipeTimer = 1.5;
-
-      this.laserCd = 0;
-      this.missileCd = 0;
-      this.laserSide = -1;
-
-      const count = 1 + Math.min(2, Math.floor(this.round / 2));
-      for (let i = 0; i < count; i++) this.spawnEnemy(true);
-    },
-
-    loseLife() {
-      this.lives -= 1;
-      if (this.lives <= 0) this.state = "gameover";
-      else this.resetRound();
-    },
-
-    spawnEnemy(prefill = false) {
-      const halfW = this.trenchNearHalfW;
-      const margin = 95;
-      const x = (this.rng() * 2 - 1) * (halfW - margin);
-      const y = (this.rng() * 2 - 1) * (TUNE.trenchHalfH * 0.50) - 10;
-      const z = prefill ? this.shipZ + 900 + this.rng() * 900 : this.shipZ + 1600 + this.rng() * 950;
-      this.enemies.push(new Enemy(x, y, z, this.rng));
-    },
-
-    spawnPipe() {
-      const side = this.rng() < 0.5 ? -1 : 1;
-      const z = this.shipZ + 1500 + this.rng() * 1100;
-      const y = (this.rng() * 2 - 1) * (TUNE.trenchHalfH * 0.55);
-      const protrude = 60 + this.rng() * 120;
-      const thickness = 10 + this.rng() * 16;
-      this.pipes.push(new Pipe(side, y, z, protrude, thickness));
-    },
-
-    fireLaser() {
-      if (this.laserCd > 0) return;
-      this.laserCd = TUNE.laserCooldown;
-
-      // single alternating shot (less spam)
-      const side = TUNE.laserAlternate ? (this.laserSide *= -1) : -1;
-
-      const gunX = this.ship.x + side * 78;
-      const gunY = this.ship.y - 6;
-      const z0 = this.shipZ + 70;
-
-      this.playerShots.push(new LaserShot(gunX, gunY, z0, "player"));
-    },
-
-    fireMissile() {
-      if (this.missileCd > 0) return;
-      if (this.missiles <= 0) return;
-
-      this.missiles -= 1;
-      this.missileCd = TUNE.missileCooldown;
-
-      const z0 = this.shipZ + 85;
-      this.playerShots.push(new MissileShot(this.ship.x, this.ship.y, z0));
-    },
-  };
+      // Struts (strong)
+      ctx.globalAlpha = 0.95;
+      strokeLine(W * 0.20, H - 26, W * 0.34, H - 198);
+      strokeLine(W * 0.80, H - 26, W * 0.66, H - 198);
 
-  // ============================================================
-  // Update
-  // ============================================================
-  function update(dt) {
-    if (game.state !== "playing") return;
+      // Center strut (subtle)
+      ctx.globalAlpha = 0.55;
+      strokeLine(W * 0.50, H - 26, W * 0.50, H - 200);
 
-    game.t += dt;
+      // Side panel outlines
+      ctx.globalAlpha = 0.60;
+      ctx.strokeStyle = COLORS.cockpitLineDim;
+      ctx.strokeRect(W * 0.06, H - 122, 150, 84);
+      ctx.strokeRect(W - (W * 0.06 + 150), H - 122, 150, 84);
 
-    game.laserCd = Math.max(0, game.laserCd - dt);
-    game.missileCd = Math.max(0, game.missileCd - dt);
+      // Center instrument bay
+      ctx.globalAlpha = 0.75;
+      ctx.strokeStyle = COLORS.cockpitLine;
+      ctx.strokeRect(W * 0.50 - 120, H - 158, 240, 130);
 
-    // movement
-    const left = down("a") || down("arrowleft");
-    const right = down("d") || down("arrowright");
-    const up = down("w") || down("arrowup");
-    const downKey = down("s") || down("arrowdown");
+      // Little instruments/ticks
+      ctx.globalAlpha = 0.35;
+      for (let i = 0; i < 14; i++) {
+        const x = W * 0.50 - 106 + i * 16;
+        strokeLine(x, H - 46, x, H - 60 - (i % 2) * 7);
+      }
 
-    const ax = (right ? 1 : 0) - (left ? 1 : 0);
-    const ay = (downKey ? 1 : 0) - (up ? 1 : 0);
+      // Dash hood ridge
+      ctx.globalAlpha = 0.65;
+      strokePoly([
+        [W * 0.22, H - 115],
+        [W * 0.50, H - 136],
+        [W * 0.78, H - 115],
+      ]);
 
-    game.ship.vx = (game.ship.vx + ax * TUNE.xAccel) * TUNE.damp;
-    game.ship.vy = (game.ship.vy + ay * TUNE.yAccel) * TUNE.damp;
+      // Wing edges (cleaner)
+      ctx.globalAlpha = 0.90;
+      ctx.strokeStyle = COLORS.cockpitLine;
+      strokeLine(W * 0.02, H - 26, W * 0.20, H - 96);
+      strokeLine(W * 0.20, H - 96, W * 0.42, H - 104);
 
-    game.ship.x += game.ship.vx * dt * 60;
-    game.ship.y += game.ship.vy * dt * 60;
+      strokeLine(W * 0.98, H - 26, W * 0.80, H - 96);
+      strokeLine(W * 0.80, H - 96, W * 0.58, H - 104);
 
-    // clamp inside trench
-    const halfW = trenchHalfWAt(game.shipZ);
-    game.ship.x = clamp(game.ship.x, -halfW + TUNE.padX, +halfW - TUNE.padX);
-    game.ship.y = clamp(game.ship.y, -TUNE.trenchHalfH + TUNE.padY, +TUNE.trenchHalfH - TUNE.padY);
+      // Gun barrels
+      drawBarrel(W * 0.22, H - 92);
+      drawBarrel(W * 0.78, H - 92);
 
-    // fire controls
-    if (down(" ")) game.fireLaser();
-    if (down("m")) {
-      keys.delete("m");
-      game.fireMissile();
+      // Glass reflections (diagonal faint)
+      ctx.globalAlpha = 0.16;
+      ctx.strokeStyle = COLORS.ui;
+      ctx.lineWidth = 1;
+      strokeLine(W * 0.18, H - 168, W * 0.44, H - 110);
+      strokeLine(W * 0.82, H - 168, W * 0.56, H - 110);
+
+      ctx.globalAlpha = 1;
+      ctx.restore();
     }
 
-    // spawn enemies (calm)
-    const enemyEvery = clamp(
-      (TUNE.enemySpawnMin + (TUNE.enemySpawnMax - TUNE.enemySpawnMin) * game.rng()) - game.round * 0.02,
-      0.95,
-      3.2
-    );
-    game.enemyTimer -= dt;
-    if (game.enemyTimer <= 0) {
-      game.enemyTimer += enemyEvery;
-      game.spawnEnemy(false);
-    }
-
-    // spawn pipes
-    game.pipeTimer -= dt;
-    const pipeEvery = clamp(2.9 - game.round * 0.05, 1.5, 2.9);
-    if (game.pipeTimer <= 0) {
-      game.pipeTimer += pipeEvery;
-      if (Math.random() < TUNE.pipeChance) game.spawnPipe();
-    }
-
-    // update entities
-    for (const e of game.enemies) e.update(dt);
-    for (const p of game.pipes) p.update(dt);
-    for (const s of game.playerShots) s.update(dt);
-    for (const s of game.enemyShots) s.update(dt);
-
-    game.enemies = game.enemies.filter((e) => e.alive);
-    game.pipes = game.pipes.filter((p) => p.alive);
-    game.playerShots = game.playerShots.filter((s) => s.alive);
-    game.enemyShots = game.enemyShots.filter((s) => s.alive);
-
-    // collisions: pipes vs ship
-    for (const p of game.pipes) {
-      if (p.collidesWithShip()) {
-        game.loseLife();
+    function drawBarrel(x, y) {
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.strokeStyle = COLORS.cockpitLine;
+      ctx.lineWidth = 2;
+
+      // mount
+      ctx.beginPath();
+      ctx.moveTo(-26, 0);
+      ctx.lineTo(-10, -18);
+      ctx.lineTo(22, -18);
+      ctx.lineTo(38, 0);
+      ctx.closePath();
+      ctx.stroke();
+
+      // barrel
+      ctx.beginPath();
+      ctx.moveTo(14, -18);
+      ctx.lineTo(14, -46);
+      ctx.stroke();
+
+      // side fin
+      ctx.globalAlpha = 0.6;
+      ctx.beginPath();
+      ctx.moveTo(-2, -12);
+      ctx.lineTo(-22, -2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+
+      ctx.restore();
+    }
+
+    function strokeLine(x0, y0, x1, y1) {
+      ctx.beginPath();
+      ctx.moveTo(x0, y0);
+      ctx.lineTo(x1, y1);
+      ctx.stroke();
+    }
+
+    function strokePoly(points) {
+      ctx.beginPath();
+      ctx.moveTo(points[0][0], points[0][1]);
+      for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+      ctx.closePath();
+      ctx.stroke();
+    }
+
+
+    function drawReticle() {
+      ctx.save();
+      ctx.strokeStyle = "rgba(230,240,255,0.85)";
+      ctx.lineWidth = 2;
+
+      const { x: cx, y: cy } = reticlePos();
+
+      ctx.beginPath();
+      ctx.moveTo(cx - 18, cy);
+      ctx.lineTo(cx + 18, cy);
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.moveTo(cx, cy - 18);
+      ctx.lineTo(cx, cy + 18);
+      ctx.stroke();
+
+      ctx.globalAlpha = 0.65;
+      ctx.strokeRect(cx - 34, cy - 34, 68, 68);
+      ctx.globalAlpha = 1;
+
+      ctx.restore();
+
+      drawLockBrackets();
+    }
+
+    // brackets close in on the target as the lock builds
+    function drawLockBrackets() {
+      const lock = game.lock;
+      if (!lock.target || !lock.target.alive) return;
+
+      const e = lock.target;
+      const p = cam.project(e.x - game.ship.x, e.y - game.ship.y, e.z);
+      const size = 18 + 40 * p.s;
+      const pct = lock.locked ? 1 : clamp(lock.dwell / TUNE.lockDwell, 0, 1);
+      const r = lerp(size * 2.2, size * 0.95, pct);
+      const arm = Math.max(6, r * 0.35);
+
+      ctx.save();
+      ctx.strokeStyle = lock.locked ? COLORS.lockOn : COLORS.ui;
+      ctx.globalAlpha = lock.locked ? 1 : 0.45 + 0.45 * pct;
+      ctx.lineWidth = lock.locked ? 2 : 1.5;
+
+      for (const sx of [-1, 1]) {
+        for (const sy of [-1, 1]) {
+          const x = p.x + sx * r;
+          const y = p.y + sy * r;
+          strokeLine(x, y, x - sx * arm, y);
+          strokeLine(x, y, x, y - sy * arm);
+        }
+      }
+
+      // progress bar under the reticle
+      const { x: cx, y: cy } = reticlePos();
+      ctx.globalAlpha = 0.85;
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(cx - 34, cy + 42, 68, 6);
+      ctx.fillRect(cx - 33, cy + 43, 66 * pct, 4);
+
+      if (lock.locked) {
+        ctx.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+        ctx.textAlign = "center";
+        ctx.fillText("LOCKED", cx, cy + 62);
+      }
+
+      ctx.restore();
+    }
+
+    // scale a HUD group around its screen anchor (settings: HUD scale)
+    function hudScaleAt(ax, ay) {
+      ctx.translate(ax, ay);
+      ctx.scale(TUNE.hudScale, TUNE.hudScale);
+      ctx.translate(-ax, -ay);
+    }
+
+    function drawHUD() {
+      ctx.save();
+      hudScaleAt(22, 20);
+      ctx.fillStyle = COLORS.ui;
+      ctx.font = "16px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+
+      ctx.fillText(`SCORE ${game.score}`, 22, 34);
+      ctx.font = "14px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.globalAlpha = 0.9;
+      ctx.fillText(game.def && game.def.name ? `ROUND ${game.round} · ${game.def.name}` : `ROUND ${game.round}`, 22, 56);
+
+      // chain multiplier and the time left to extend it
+      if (game.comboTimer > 0) {
+        ctx.fillStyle = game.combo > 1 ? COLORS.vent : COLORS.ui;
+        ctx.fillText(`COMBO x${game.combo}`, 22, 78);
+        ctx.globalAlpha = 0.5;
+        ctx.fillRect(22, 85, 90 * (game.comboTimer / TUNE.comboWindow), 3);
+      }
+      ctx.globalAlpha = 1;
+      drawEffects();
+      ctx.restore();
+
+      ctx.save();
+      hudScaleAt(W - 22, 20);
+      ctx.fillStyle = COLORS.ui;
+      ctx.font = "16px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.fillText(`LIVES ${game.lives}`, W - 130, 34);
+      ctx.font = "14px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.globalAlpha = 0.9;
+      ctx.fillText(`MISSILES ${game.missiles}`, W - 170, 56);
+      if (audio && SETTINGS.muted) {
+        ctx.globalAlpha = 0.6;
+        ctx.fillText(`MUTED (${bindLabel("mute")})`, W - 170, 78);
+      }
+      ctx.globalAlpha = 1;
+      ctx.restore();
+
+      ctx.save();
+      hudScaleAt(W * 0.5, 20);
+      ctx.fillStyle = COLORS.ui;
+      ctx.font = "14px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.globalAlpha = 0.85;
+      ctx.fillText(`SPEED ${Math.floor(game.scrollSpeed)}`, W * 0.5 - 56, 34);
+      ctx.fillText(DIFFICULTY[game.difficulty].label, W * 0.5 - 56, 56);
+      if (daily) ctx.fillText(daily.scored ? `DAILY ${daily.day}` : "DAILY PRACTICE", W * 0.5 - 56, 78);
+      ctx.globalAlpha = 1;
+
+      drawLockBox();
+
+      ctx.restore();
+
+      if (game.boss) drawBossBar(game.boss);
+      drawShipStatus();
+    }
+
+    // timed power-ups under the combo, each with the time it has left
+    function drawEffects() {
+      const LENGTH = { rapid: TUNE.rapidFireTime, shield: TUNE.shieldBoostTime, magnet: TUNE.magnetTime };
+      let y = 110;
+      ctx.save();
+      ctx.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      for (const [kind, left] of Object.entries(game.effects)) {
+        if (left <= 0) continue;
+        const { color, label } = PICKUP_STYLE[kind];
+        // blinks through its last two seconds
+        const ending = left < 2 && !TUNE.reducedMotion && Math.floor(left * 6) % 2 === 0;
+        ctx.fillStyle = color;
+        ctx.globalAlpha = ending ? 0.4 : 0.9;
+        ctx.fillText(`${label} ${left.toFixed(1)}`, 22, y);
+        ctx.globalAlpha = 0.5;
+        ctx.fillRect(22, y + 5, 90 * (left / LENGTH[kind]), 3);
+        y += 24;
+      }
+      ctx.restore();
+    }
+
+    // boss health across every part, with the phase
+    function drawBossBar(b) {
+      const w = 360;
+      const x = W * 0.5 - w / 2;
+      const y = 108;
+
+      ctx.save();
+      hudScaleAt(W * 0.5, y);
+      ctx.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.textAlign = "center";
+      ctx.fillStyle = COLORS.bossCore;
+      ctx.strokeStyle = COLORS.bossCore;
+      ctx.globalAlpha = 0.9;
+      ctx.fillText(`ESCORT CARRIER  ·  PHASE ${b.phase}`, W * 0.5, y - 6);
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x, y, w, 8);
+      ctx.fillRect(x + 1, y + 1, (w - 2) * (b.hp() / b.hpMax), 6);
+      ctx.restore();
+    }
+
+    // shield bar + hull pips in the cockpit's instrument bay
+    function drawShipStatus() {
+      const x = W * 0.5 - 100;
+      const y = H - 146;
+      const pct = game.shield / TUNE.shieldMax;
+      const low = game.shield <= 0;
+
+      ctx.save();
+      ctx.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.textBaseline = "middle";
+      ctx.lineWidth = 1;
+
+      ctx.fillStyle = low ? COLORS.playerLaser : COLORS.missile;
+      ctx.strokeStyle = ctx.fillStyle;
+      ctx.globalAlpha = 0.85;
+      ctx.fillText(low ? "SHIELD DOWN" : "SHIELD", x, y);
+      ctx.strokeRect(x, y + 10, 200, 8);
+      ctx.fillRect(x + 1, y + 11, 198 * pct, 6);
+
+      ctx.fillStyle = COLORS.ui;
+      ctx.strokeStyle = COLORS.ui;
+      ctx.fillText("HULL", x, y + 34);
+      for (let i = 0; i < TUNE.hullMax; i++) {
+        const px = x + 44 + i * 22;
+        ctx.globalAlpha = i < game.hull ? 0.9 : 0.25;
+        if (i < game.hull) ctx.fillRect(px, y + 28, 16, 12);
+        else ctx.strokeRect(px, y + 28, 16, 12);
+      }
+
+      // with reduced motion there is no flicker, so show the i-frames here
+      if (game.invuln > 0 && TUNE.reducedMotion) {
+        ctx.globalAlpha = 0.7;
+        ctx.fillStyle = COLORS.missile;
+        ctx.textAlign = "right";
+        ctx.fillText("SHIELDED", x + 200, y + 34);
+      }
+      ctx.restore();
+    }
+
+    // LOCK box lights up while the vent is inside the firing window
+    function drawLockBox() {
+      const locked = game.ventLocked();
+      const approach = !!game.vent && !locked;
+
+      ctx.save();
+      ctx.lineWidth = 1;
+      ctx.font = "14px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+
+      if (locked) {
+        const blink = TUNE.reducedMotion || Math.sin(game.t * 18) > -0.3;
+        ctx.fillStyle = COLORS.lockOn;
+        ctx.strokeStyle = COLORS.lockOn;
+        ctx.globalAlpha = blink ? 0.35 : 0.15;
+        ctx.fillRect(W * 0.5 - 32, 70, 64, 22);
+        ctx.globalAlpha = 1;
+        ctx.strokeRect(W * 0.5 - 32, 70, 64, 22);
+        ctx.fillText("LOCK", W * 0.5, 81);
+      } else {
+        ctx.strokeStyle = approach ? COLORS.vent : COLORS.ui;
+        ctx.fillStyle = approach ? COLORS.vent : COLORS.ui;
+        ctx.globalAlpha = approach ? 0.9 : 0.45;
+        ctx.strokeRect(W * 0.5 - 32, 70, 64, 22);
+        ctx.fillText("LOCK", W * 0.5, 81);
+      }
+
+      // distance to the vent
+      const remain = Math.max(0, Math.ceil((game.trenchLength - game.distance) / 100));
+      ctx.globalAlpha = 0.7;
+      ctx.fillStyle = COLORS.ui;
+      ctx.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.fillText(`VENT ${remain}`, W * 0.5, 104);
+
+      ctx.restore();
+    }
+
+    function keyLabel(k) {
+      const NAMES = { " ": "SPACE", escape: "ESC", arrowup: "↑", arrowdown: "↓", arrowleft: "←", arrowright: "→" };
+      return NAMES[k] || k.toUpperCase();
+    }
+
+    function bindLabel(action) {
+      return BINDS[action].map(keyLabel).join(" / ");
+    }
+
+    function overlay(title, lines) {
+      ctx.save();
+      ctx.fillStyle = COLORS.ui;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+
+      ctx.font = "34px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.fillText(title, W / 2, H / 2 - 30);
+
+      ctx.font = "16px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      let y = H / 2 + 10;
+      for (const line of lines) {
+        ctx.globalAlpha = 0.9;
+        ctx.fillText(line, W / 2, y);
+        y += 22;
+      }
+      ctx.globalAlpha = 1;
+
+      ctx.restore();
+    }
+
+    function drawTouchControls() {
+      ctx.save();
+      ctx.strokeStyle = COLORS.ui;
+      ctx.fillStyle = COLORS.ui;
+      ctx.lineWidth = 2;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.font = "13px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+
+      // stick: base where the finger landed, knob follows
+      const st = touch.stick;
+      const base = st ? { x: st.ox, y: st.oy } : TOUCH.stickHome;
+      const knob = st ? { x: st.x, y: st.y } : TOUCH.stickHome;
+      ctx.globalAlpha = st ? 0.45 : 0.22;
+      ctx.beginPath();
+      ctx.arc(base.x, base.y, TOUCH.stickR, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = st ? 0.8 : 0.3;
+      ctx.beginPath();
+      ctx.arc(knob.x, knob.y, 22, 0, Math.PI * 2);
+      ctx.stroke();
+
+      const button = (c, label, on, color) => {
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.globalAlpha = on ? 0.3 : 0.1;
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, c.r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = on ? 1 : 0.6;
+        ctx.stroke();
+        ctx.fillText(label, c.x, c.y);
+      };
+      button(TOUCH.fire, "FIRE", touch.fireId !== null, COLORS.playerLaser);
+      button(TOUCH.missile, `MSL ${game.missiles}`, false, COLORS.missile);
+
+      // pause
+      const pz = TOUCH.pause;
+      ctx.strokeStyle = COLORS.ui;
+      ctx.globalAlpha = 0.5;
+      ctx.beginPath();
+      ctx.arc(pz.x, pz.y, pz.r, 0, Math.PI * 2);
+      ctx.stroke();
+      strokeLine(pz.x - 5, pz.y - 8, pz.x - 5, pz.y + 8);
+      strokeLine(pz.x + 5, pz.y - 8, pz.x + 5, pz.y + 8);
+
+      ctx.restore();
+    }
+
+    function drawInitialsEntry() {
+      ctx.save();
+      ctx.fillStyle = "rgba(5,7,10,0.72)";
+      ctx.fillRect(0, 0, W, H);
+
+      ctx.fillStyle = COLORS.ui;
+      ctx.strokeStyle = COLORS.ui;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+
+      ctx.font = "34px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.fillText("NEW HIGH SCORE", W / 2, H / 2 - 110);
+      ctx.font = "18px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.globalAlpha = 0.9;
+      ctx.fillText(`${game.score}  ·  ROUND ${game.round}`, W / 2, H / 2 - 72);
+      ctx.globalAlpha = 1;
+
+      ctx.font = "48px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+      const { letters, slot } = entry;
+      for (let i = 0; i < 3; i++) {
+        const x = W / 2 + (i - 1) * 64;
+        const y = H / 2;
+        ctx.globalAlpha = i === slot ? 1 : 0.6;
+        ctx.fillText(letters[i], x, y);
+        if (i === slot && Math.sin(game.t * 10) > -0.4) strokeLine(x - 20, y + 32, x + 20, y + 32);
+      }
+      ctx.globalAlpha = 0.9;
+      ctx.font = "14px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.fillText(
+        touch.enabled
+          ? "TAP above/below a letter to change  ·  TAP elsewhere to confirm"
+          : "TYPE or ↑/↓ letter  ·  ←/→ move  ·  ENTER confirm",
+        W / 2,
+        H / 2 + 78
+      );
+      ctx.globalAlpha = 1;
+
+      ctx.restore();
+    }
+
+    function drawGameOver() {
+      const lines = [];
+      if (daily) {
+        drawDailyOver();
         return;
       }
+      if (lastRank) lines.push(`RANK #${lastRank}`);
+      if (window.TrenchScores) {
+        const top = TrenchScores.table(TrenchScores.load().entries, game.difficulty).slice(0, 5);
+        lines.push(`${DIFFICULTY[game.difficulty].label} TABLE`);
+        top.forEach((e, i) => {
+          lines.push(`${i + 1}. ${e.initials}   ${String(e.score).padStart(7, " ")}   R${e.round}`);
+        });
+      }
+      lines.push("", pad.index >= 0 ? "START to play again" : touch.enabled ? "TAP to play again" : "ENTER to play again");
+      if (!touch.enabled) lines.push(difficultyPicker());
+      if (REPLAY && lastReplay && !touch.enabled) lines.push(`${bindLabel("watch")} to watch the replay`);
+      overlay("GAME OVER", lines);
     }
 
-    // collisions: enemy shots vs ship
-    for (const es of game.enemyShots) {
-      if (Math.abs(es.z - game.shipZ) < 120) {
-        const dx = es.x - game.ship.x;
-        const dy = es.y - game.ship.y;
-        if (dx * dx + dy * dy < (game.shipHitR * 0.95) ** 2) {
-          game.loseLife();
-          return;
+    function difficultyPicker() {
+      const keys = pad.index >= 0 ? "d-pad" : `${keyLabel(BINDS.left[0])}/${keyLabel(BINDS.right[0])}`;
+      return `◀ ${DIFFICULTY[SETTINGS.difficulty].label} ▶  difficulty (${keys})`;
+    }
+
+    function dailyTitle() {
+      const day = DAILY.today();
+      return dailyResult(day) ? `${day} (practice)` : `${day} (one scored try)`;
+    }
+
+    function drawDailyOver() {
+      const res = dailyResult(daily.day);
+      const lines = [];
+      if (daily.scored) {
+        lines.push(DAILY.shareText(daily.day, res));
+        if (!touch.enabled && BINDS.copy.length) lines.push(`${bindLabel("copy")} to copy it for your friends`);
+      } else {
+        lines.push(`PRACTICE  ·  ${game.score} pts, round ${game.round}`);
+        if (res) lines.push(`Today's scored run: ${res.score} pts, round ${res.round}`);
+      }
+      const again = pad.index >= 0 ? "Y" : bindLabel("daily") || "Daily challenge button";
+      lines.push("", `${again} for more practice  ·  ${pad.index >= 0 ? "START" : "ENTER"} for arcade`);
+      overlay(`DAILY ${daily.day}`, lines);
+    }
+
+    // ============================================================
+    // Motion / background
+    // ============================================================
+    function drawSpeedLines(t) {
+      ctx.save();
+      ctx.globalAlpha = 0.12;
+      ctx.strokeStyle = COLORS.ui;
+      ctx.lineWidth = 1;
+
+      const r = makeRng(4242);
+      for (let i = 0; i < TUNE.speedLines; i++) {
+        const x = r() * W;
+        const y = r() * (cam.horizonY + 55);
+        const len = 18 + r() * 22;
+
+        const phase = (t * game.scrollSpeed * 0.16 + i * 21) % 240;
+        const yy = y + phase;
+
+        ctx.beginPath();
+        ctx.moveTo(x, yy);
+        ctx.lineTo(x, yy + len);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    // ============================================================
+    // Trench drawing (OPEN TOP, no roof line)
+    // ============================================================
+    function drawTrench(t) {
+      const zMin = game.shipZ + 120;
+      const zMax = TUNE.farZ;
+      const range = zMax - zMin;
+
+      const phase = (t * game.scrollSpeed) % TUNE.segmentLen;
+
+      // Draw far -> near for depth layering
+      for (let i = TUNE.slices; i >= 1; i--) {
+        const u0 = (i - 1) / TUNE.slices;
+        const u1 = i / TUNE.slices;
+
+        let z0 = zMin + u0 * range - phase;
+        let z1 = zMin + u1 * range - phase;
+        while (z0 < zMin) z0 += range;
+        while (z1 < zMin) z1 += range;
+
+        // walls follow the course: centreline offset, width and depth per slice
+        const cx0 = trenchCenterAt(z0) - game.ship.x;
+        const cx1 = trenchCenterAt(z1) - game.ship.x;
+        const halfW0 = trenchHalfWAt(z0);
+        const halfW1 = trenchHalfWAt(z1);
+        const halfH0 = trenchHalfHAt(z0);
+        const halfH1 = trenchHalfHAt(z1);
+
+        const yTop = +halfH0;
+        const yBot = -halfH0;
+
+        const L0T = cam.project((cx0 - halfW0), (yTop - game.ship.y), z0);
+        const L0B = cam.project((cx0 - halfW0), (yBot - game.ship.y), z0);
+        const R0T = cam.project((cx0 + halfW0), (yTop - game.ship.y), z0);
+        const R0B = cam.project((cx0 + halfW0), (yBot - game.ship.y), z0);
+
+        const L1T = cam.project((cx1 - halfW1), (halfH1 - game.ship.y), z1);
+        const L1B = cam.project((cx1 - halfW1), (-halfH1 - game.ship.y), z1);
+        const R1T = cam.project((cx1 + halfW1), (halfH1 - game.ship.y), z1);
+        const R1B = cam.project((cx1 + halfW1), (-halfH1 - game.ship.y), z1);
+
+        // fills
+        ctx.save();
+        ctx.fillStyle = COLORS.trenchFill;
+
+        // floor quad
+        fillQuad(L0B, R0B, R1B, L1B);
+
+        // left wall quad
+        fillQuad(L0T, L0B, L1B, L1T);
+
+        // right wall quad
+        fillQuad(R0T, R0B, R1B, R1T);
+
+        ctx.restore();
+
+        // lines
+        ctx.save();
+        ctx.strokeStyle = COLORS.trenchLine;
+        ctx.lineWidth = 2;
+
+        // ✅ OPEN TOP: Do NOT draw line(L0T, R0T) (that looks like a roof)
+        // floor edge across
+        line(L0B, R0B);
+
+        // wall vertical edges (near slice)
+        line(L0T, L0B);
+        line(R0T, R0B);
+
+        // wall "rails" along depth (side top edges only, not connected across)
+        ctx.globalAlpha = 0.35;
+        line(L0T, L1T);
+        line(R0T, R1T);
+        ctx.globalAlpha = 1;
+
+        // floor rungs
+        if (i % TUNE.rungEvery === 0) {
+          ctx.globalAlpha = 0.30;
+          line(L0B, R0B);
+          ctx.globalAlpha = 1;
+        }
+
+        // wall panels/lights
+        const leftX = cx0 + game.ship.x - halfW0;
+        const rightX = cx0 + game.ship.x + halfW0;
+        if (i % TUNE.panelEvery === 0) {
+          drawWallPanel(z0, -1, leftX, yTop, yBot, i);
+          drawWallPanel(z0, +1, rightX, yTop, yBot, i + 7);
+        }
+        if (i % TUNE.lightEvery === 0) {
+          drawWallLight(z0, -1, leftX, yTop, yBot);
+          drawWallLight(z0, +1, rightX, yTop, yBot);
         }
+
+        ctx.restore();
       }
     }
 
-    // ✅ player shots hit enemies (more forgiving + uses x/y aim)
-    for (const ps of game.playerShots) {
-      for (const e of game.enemies) {
-        if (!ps.alive || !e.alive) continue;
-        if (Math.abs(ps.z - e.z) < TUNE.enemyZWindow) {
-          const dx = ps.x - e.x;
-          const dy = ps.y - e.y;
-          if (dx * dx + dy * dy < TUNE.hitRadius * TUNE.hitRadius) {
-            ps.alive = false;
-            e.hit(ps instanceof MissileShot ? 2 : 1);
-            game.score += ps instanceof MissileShot ? 220 : 120;
-          }
+    function fillQuad(a, b, c, d) {
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.lineTo(c.x, c.y);
+      ctx.lineTo(d.x, d.y);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    function line(a, b) {
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+
+    // wallX: world x of that side's wall face at z
+    function drawWallPanel(z, side, wallX, yTop, yBot, seed) {
+      const r = makeRng(90000 + seed * 131 + Math.floor(z));
+
+      const yy = lerp(yBot + 22, yTop - 22, r());
+      const inset = 18 + r() * 14;
+      const px = wallX - side * inset;
+
+      const p = cam.project(px - game.ship.x, yy - game.ship.y, z);
+      const s = p.s;
+
+      const w = (18 + r() * 22) * s;
+      const h = (10 + r() * 26) * s;
+
+      ctx.save();
+      ctx.globalAlpha = 0.26;
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = COLORS.ui;
+      ctx.strokeRect(p.x - w / 2, p.y - h / 2, w, h);
+
+      if (r() < 0.65) {
+        ctx.globalAlpha = 0.14;
+        ctx.strokeRect(p.x - w / 4, p.y - h / 4, w / 2, h / 2);
+      }
+      ctx.restore();
+    }
+
+    function drawWallLight(z, side, wallX, yTop, yBot) {
+      const r = makeRng(120000 + Math.floor(z) + side * 999);
+      const yy = lerp(yBot + 18, yTop - 18, r());
+      const px = wallX - side * 10;
+
+      const p = cam.project(px - game.ship.x, yy - game.ship.y, z);
+      const s = p.s;
+
+      const len = (22 + r() * 30) * s;
+      ctx.save();
+      ctx.globalAlpha = 0.18;
+      ctx.strokeStyle = COLORS.ui;
+      ctx.lineWidth = Math.max(1, 2 * s);
+
+      ctx.beginPath();
+      ctx.moveTo(p.x - len / 2, p.y);
+      ctx.lineTo(p.x + len / 2, p.y);
+      ctx.stroke();
+
+      ctx.restore();
+    }
+
+    // ============================================================
+    // Run control (page side: input, recording, audio, score table)
+    // ============================================================
+    // practice runs (editor test-play, daily reruns) skip achievements and the score table
+    let practice = false;
+
+    // Daily challenge (game/daily.js)
+    const DAILY = window.TrenchDaily || null;
+    let daily = null; // { day, scored } while a daily run is up
+
+    // a day's stored result, read once rather than on every overlay frame;
+    // updateDailyUI() drops it whenever the stored result may have changed
+    let dailySeen = { day: null, result: null };
+    function dailyResult(day) {
+      if (dailySeen.day !== day) dailySeen = { day, result: DAILY.result(day) };
+      return dailySeen.result;
+    }
+
+    // mode: "arcade" or "daily". A replay has already set its recorded
+    // seed and rounds (restartReplay), so it leaves them alone here.
+    function startGame(mode = "arcade") {
+      keys.clear();
+      lastRank = 0;
+      popups = [];
+      clearParticles();
+      practice = false;
+      daily = null;
+      if (!replay) {
+        if (mode === "daily") {
+          const day = DAILY.today();
+          daily = { day, scored: DAILY.begin(day) };
+          practice = !daily.scored;
+          setCourse(DAILY.seedFor(day), []); // all procedural: the date decides every layout
+          applyDifficulty("normal"); // everyone's daily is flown on the same terms
+          updateDailyUI();
+        } else {
+          setCourse(SEED, ROUNDS);
+          applyDifficulty(SETTINGS.difficulty);
+        }
+        startRecording(mode);
+      }
+      game.newGame();
+    }
+
+    function setCourse(seed, rounds) {
+      game.seed = seed;
+      core.setRounds(rounds);
+    }
+
+    // the editor's view: rounds swapped in, round set up at distance,
+    // then either frozen there ("preview") or flown as practice
+    function startPractice(rounds, round, distance, frozen) {
+      if (replay) exitReplay();
+      keys.clear();
+      lastRank = 0;
+      popups = [];
+      clearParticles();
+      practice = true;
+      daily = null;
+      recorder = null;
+      game.seed = SEED;
+      core.setRounds(rounds);
+      game.startAt(round, distance);
+      if (frozen) game.state = "preview";
+      if (audio) audio.resume();
+    }
+
+    function togglePause() {
+      game.togglePause();
+      if (!audio) return;
+      if (game.state === "paused") audio.suspend();
+      else if (game.state === "playing") audio.resume();
+    }
+
+    // ============================================================
+    // High-score initials entry
+    // ============================================================
+    let entry = { letters: ["A", "A", "A"], slot: 0 };
+    let lastRank = 0;
+
+    // the page reacts first; outside listeners only hear about live runs
+    function onCoreEvent(type, detail) {
+      if (type === "gameOver") onGameOver();
+      if (type === "enemyDestroyed") addPopup(detail);
+      if (type === "pickupCollected") addPickupPopup(detail);
+      if (type === "bossDefeated") toasts.push({ head: "ESCORT CARRIER DESTROYED", text: `+${detail.bonus}`, age: 0 });
+      if (replay) return;
+      if (tracker && !practice) tracker.handle(type, detail);
+      events.emit(type, detail);
+    }
+
+    // a finished run goes to initials entry if it made the table
+    function onGameOver() {
+      lastRank = 0;
+      if (replay || practice) return; // replays and practice never touch the score table
+      if (daily) {
+        DAILY.finish(daily.day, game.score, game.round);
+        updateDailyUI();
+        return; // a different course every day: kept apart from the arcade table
+      }
+      if (window.TrenchScores && TrenchScores.qualifies(game.score, game.difficulty)) {
+        entry = { letters: ["A", "A", "A"], slot: 0 };
+        game.state = "initials";
+      }
+    }
+
+    // arcade-style: up/down cycles the letter, left/right or ENTER moves on
+    function entryKey(k) {
+      const ABC = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+      const cur = ABC.indexOf(entry.letters[entry.slot]);
+
+      if (k === "arrowup") {
+        entry.letters[entry.slot] = ABC[(cur + 1) % ABC.length];
+      } else if (k === "arrowdown") {
+        entry.letters[entry.slot] = ABC[(cur - 1 + ABC.length) % ABC.length];
+      } else if (k === "arrowleft" || k === "backspace") {
+        entry.slot = Math.max(0, entry.slot - 1);
+      } else if (k === "arrowright") {
+        entry.slot = Math.min(2, entry.slot + 1);
+      } else if (k.length === 1 && ABC.includes(k.toUpperCase())) {
+        entry.letters[entry.slot] = k.toUpperCase();
+        if (entry.slot < 2) entry.slot += 1;
+      } else if (k === "enter") {
+        if (entry.slot < 2) entry.slot += 1;
+        else submitEntry();
+      }
+    }
+
+    // touch: tap above/below a letter to change it, anywhere else to confirm
+    function entryTap(p) {
+      for (let i = 0; i < 3; i++) {
+        const x = W / 2 + (i - 1) * 64;
+        if (Math.abs(p.x - x) > 30 || Math.abs(p.y - H / 2) > 70) continue;
+        entry.slot = i;
+        if (p.y < H / 2 - 8) entryKey("arrowup");
+        else if (p.y > H / 2 + 8) entryKey("arrowdown");
+        return;
+      }
+      entryKey("enter");
+    }
+
+    function submitEntry() {
+      lastRank = TrenchScores.add(entry.letters.join(""), game.score, game.round, game.difficulty);
+      game.state = "gameover";
+    }
+
+    // ============================================================
+    // Achievements (game/achievements.js; live runs only)
+    // ============================================================
+    const ACH = window.TrenchAchievements || null;
+    const tracker = ACH ? ACH.createTracker(onUnlock) : null;
+    const TOAST_TIME = 3.4;
+    const toasts = []; // { head, text, age }, shown one at a time
+
+    function onUnlock(a) {
+      toasts.push({ head: "ACHIEVEMENT UNLOCKED", text: a.title, age: 0 });
+      sound("achievement");
+      events.emit("achievementUnlocked", { id: a.id, title: a.title, score: game.score, round: game.round });
+    }
+
+    function updateToasts(frameDt) {
+      if (!toasts.length) return;
+      toasts[0].age += frameDt;
+      if (toasts[0].age >= TOAST_TIME) toasts.shift();
+    }
+
+    function drawToast() {
+      if (!toasts.length) return;
+      const { head, text, age } = toasts[0];
+      const fade = TUNE.reducedMotion ? 1 : clamp(Math.min(age, TOAST_TIME - age) / 0.25, 0, 1);
+      const w = 320;
+      const x = W / 2 - w / 2;
+      const y = 122 - (1 - fade) * 12;
+
+      ctx.save();
+      ctx.globalAlpha = fade;
+      ctx.fillStyle = "rgba(5,7,10,0.85)";
+      ctx.fillRect(x, y, w, 54);
+      ctx.strokeStyle = COLORS.vent;
+      ctx.lineWidth = 1.5;
+      ctx.strokeRect(x, y, w, 54);
+
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillStyle = COLORS.vent;
+      ctx.font = "12px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.fillText(head, W / 2, y + 14);
+      ctx.fillStyle = COLORS.ui;
+      ctx.font = "17px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      ctx.fillText(text, W / 2, y + 35);
+      ctx.restore();
+    }
+
+    // ============================================================
+    // Render
+    // ============================================================
+    // alpha: how far (0..1) real time is between the last two sim steps
+    function render(alpha) {
+      const restore = blendPositions(alpha);
+      drawFrame(lerp(game.prevT, game.t, alpha));
+      restore();
+    }
+
+    // temporarily move everything to its interpolated position for drawing
+    function blendPositions(alpha) {
+      const moved = [];
+      game.forEachMover((o) => {
+        const p = o.prev;
+        if (!p) return; // spawned this step
+        moved.push(o, o.x, o.y, o.z);
+        if (o.x !== undefined) o.x = lerp(p.x, o.x, alpha);
+        o.y = lerp(p.y, o.y, alpha);
+        if (o.z !== undefined) o.z = lerp(p.z, o.z, alpha);
+      });
+
+      return () => {
+        for (let i = 0; i < moved.length; i += 4) {
+          const o = moved[i];
+          o.x = moved[i + 1];
+          o.y = moved[i + 2];
+          o.z = moved[i + 3];
+        }
+      };
+    }
+
+    function drawFrame(t) {
+      cam.follow(game.ship.y);
+      updateParticles(t);
+
+      ctx.clearRect(0, 0, W, H);
+      ctx.fillStyle = "#05070a";
+      ctx.fillRect(0, 0, W, H);
+
+      // frame
+      ctx.strokeStyle = COLORS.frame;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(10, 10, W - 20, H - 20);
+
+      drawSpeedLines(t);
+      drawTrench(t);
+
+      // draw entities far->near
+      const drawables = [];
+      for (const o of game.obstacles) drawables.push({ z: o.z, draw: () => drawObstacle(o) });
+      for (const e of game.enemies) drawables.push({ z: e.z, draw: () => drawEnemy(e) });
+      for (const s of game.playerShots) {
+        drawables.push({ z: s.z, draw: () => (s instanceof MissileShot ? drawMissile(s) : drawLaser(s)) });
+      }
+      for (const s of game.enemyShots) drawables.push({ z: s.z, draw: () => drawLaser(s) });
+      for (const p of game.pickups) {
+        if (p.alive) drawables.push({ z: p.z, draw: () => drawPickup(p) });
+      }
+      if (game.vent && game.vent.alive) drawables.push({ z: game.vent.z, draw: () => drawVent(game.vent) });
+      if (game.boss) drawables.push({ z: game.boss.z + 1, draw: () => drawBoss(game.boss) }); // behind its parts
+      popups = popups.filter((p) => t >= p.t0 && t - p.t0 < POPUP_TIME);
+      for (const p of popups) drawables.push({ z: popupZ(p, t), draw: () => drawPopup(p, t) });
+      for (const p of particles) drawables.push({ z: p.z, draw: () => drawParticle(p) });
+
+      drawables.sort((a, b) => b.z - a.z);
+      for (const d of drawables) d.draw();
+
+      // i-frames: the cockpit flickers (steady dim glow with reduced motion)
+      const flicker = game.invuln > 0 && game.running() && !TUNE.reducedMotion && Math.floor(t * 15) % 2 === 0;
+      if (!flicker) drawCockpit(t);
+      drawHitFlash();
+      drawReticle();
+      drawHUD();
+      drawToast();
+      if (replay) {
+        drawReplayBar();
+        return;
+      }
+      if (touch.enabled && game.state === "playing") drawTouchControls();
+
+      if (game.state === "title") {
+        if (pad.index >= 0) {
+          overlay("TRENCH RUN", [
+            "START to begin  ·  controller connected",
+            "Move: left stick / d-pad (you sit lower in the trench now)",
+            "Laser: A / RT (red, aimed)",
+            "Missile: B / LT (hold the reticle on a target to LOCK, then fire)",
+            "Pause: START  ·  fire into the reactor vent when LOCK lights",
+            difficultyPicker(),
+            ...(DAILY ? [`Y: daily challenge ${dailyTitle()}`] : []),
+          ]);
+        } else {
+          const move = ["up", "left", "down", "right"].map((a) => keyLabel(BINDS[a][0])).join("");
+          overlay("TRENCH RUN", [
+            TOUCH_DEVICE ? "ENTER or TAP to start" : "ENTER to start",
+            `Move: ${move} (you sit lower in the trench now)`,
+            `Laser: ${bindLabel("fire")} (red, aimed)`,
+            `Missile: ${bindLabel("missile")} (hold the reticle on a target to LOCK, then fire)`,
+            "Fire a missile into the reactor vent when LOCK lights",
+            `Pause: ${bindLabel("pause")}  ·  Mute: ${bindLabel("mute")}`,
+            difficultyPicker(),
+            ...(DAILY && BINDS.daily.length ? [`${bindLabel("daily")}: daily challenge ${dailyTitle()}`] : []),
+          ]);
         }
+      } else if (game.state === "cleared") {
+        overlay("VENT HIT", [`ROUND ${game.round} CLEAR  +${game.roundBonus()}`]);
+      } else if (game.state === "paused") {
+        let resume = `${bindLabel("pause")} to resume`;
+        if (pad.index >= 0) resume = "START to resume";
+        else if (touch.enabled) resume = "TAP to resume";
+        overlay("PAUSED", [resume]);
+      } else if (game.state === "initials") {
+        drawInitialsEntry();
+      } else if (game.state === "gameover") {
+        drawGameOver();
+      }
+    }
+
+    // ============================================================
+    // Replays (game/replay.js): every live run is recorded; any
+    // replay can be played back, paused, sped up and scrubbed
+    // ============================================================
+    const REPLAY = window.TrenchReplay || null;
+    const LAST_REPLAY_KEY = "ntr.lastReplay";
+    const REPLAY_SPEEDS = [1, 2, 4, 8];
+    const REPLAY_SKIP = 5; // seconds per scrub step
+    const REPLAY_BAR = { x: 40, y: H - 24, w: W - 80, h: 8 };
+
+    let recorder = null;
+    let lastReplay = loadLastReplay(); // raw replay object, as exported
+    let replay = null; // { data (expanded), tick, clock, speed, paused, verified }
+
+    function loadLastReplay() {
+      try {
+        return JSON.parse(localStorage.getItem(LAST_REPLAY_KEY));
+      } catch (err) {
+        return null;
       }
     }
 
-    // survival score
-    game.score += Math.floor((8 + game.round * 2) * dt * 10);
+    function startRecording(mode) {
+      recorder = REPLAY
+        ? new REPLAY.Recorder({
+            seed: game.seed,
+            mode,
+            difficulty: game.difficulty,
+            // the rounds as flown, so the replay doesn't depend on campaign.json
+            rounds: mode === "daily" || !ROUNDS.length ? null : JSON.parse(TrenchRounds.stringify(ROUNDS)),
+            dtScale: DT_SCALE,
+            axisScale: AXIS_SCALE,
+          })
+        : null;
+    }
 
-    // temp next round
-    if (down("n")) {
-      keys.delete("n");
-      game.round += 1;
-      game.scrollSpeed = Math.min(920, game.scrollSpeed + 40);
-      game.missiles = Math.min(6, game.missiles + 1);
+    function stopRecording() {
+      lastReplay = recorder.finish({ score: game.score, round: game.round });
+      recorder = null;
+      try {
+        localStorage.setItem(LAST_REPLAY_KEY, JSON.stringify(lastReplay));
+      } catch (err) {
+        // too big / private mode: still downloadable this session
+      }
+      updateReplayUI();
+    }
+
+    // data: an expanded replay (TrenchReplay.expand / parse)
+    function watchReplay(data) {
+      recorder = null;
+      replay = { data, tick: 0, clock: 0, speed: 1, paused: false, verified: null };
+      applyDifficulty(data.meta.difficulty);
+      restartReplay();
+    }
+
+    function restartReplay() {
+      setCourse(replay.data.meta.seed, replay.data.rounds);
+      startGame();
+      replay.tick = 0;
+      replay.clock = 0;
+      replay.verified = null;
+    }
+
+    function exitReplay() {
+      replay = null;
+      applyDifficulty(SETTINGS.difficulty);
+      setCourse(SEED, ROUNDS);
       game.resetRound();
+      game.state = "title";
     }
-  }
 
-  // ============================================================
-  // Render
-  // ============================================================
-  function render() {
-    // camera pitch derived from y (helps up/down feel)
-    cam.horizonY = TUNE.horizonBase;
-    cam.pitch = -game.ship.y * 0.28 * (TUNE.pitchEffect / 36);
-
-    ctx.clearRect(0, 0, W, H);
-    ctx.fillStyle = "#05070a";
-    ctx.fillRect(0, 0, W, H);
-
-    // frame
-    ctx.strokeStyle = COLORS.frame;
-    ctx.lineWidth = 1;
-    ctx.strokeRect(10, 10, W - 20, H - 20);
-
-    drawSpeedLines(game.t);
-    drawTrench(game.t);
-
-    // draw entities far->near
-    const drawables = [];
-    for (const p of game.pipes) drawables.push({ z: p.z, draw: () => p.draw() });
-    for (const e of game.enemies) drawables.push({ z: e.z, draw: () => e.draw() });
-    for (const s of game.playerShots) drawables.push({ z: s.z, draw: () => s.draw() });
-    for (const s of game.enemyShots) drawables.push({ z: s.z, draw: () => s.draw() });
-
-    drawables.sort((a, b) => b.z - a.z);
-    for (const d of drawables) d.draw();
-
-    drawCockpit(game.t);
-    drawReticle();
-    drawHUD();
-
-    if (game.state === "title") {
-      overlay("TRENCH RUN", [
-        "ENTER to start",
-        "Move: WASD / Arrows (you sit lower in the trench now)",
-        "Laser: SPACE (red, aimed)",
-        "Missile: M (blue + trail)",
-        "Debug: N = next round (temporary)",
-      ]);
-    } else if (game.state === "paused") {
-      overlay("PAUSED", ["ESC to resume"]);
-    } else if (game.state === "gameover") {
-      overlay("GAME OVER", ["ENTER to play again"]);
+    function replayStep() {
+      const r = replay;
+      const d = r.data;
+      const i = r.tick;
+      update(d.dt[i], { ax: d.ax[i], ay: d.ay[i], flags: d.flags[i] });
+      r.tick += 1;
+
+      // a genuine run ends exactly where and how the file says it did
+      if (r.tick === d.ticks) {
+        r.verified = game.state === "gameover" && game.score === d.meta.score && game.round === d.meta.round;
+      }
     }
-  }
 
-  // ============================================================
-  // Loop
-  // ============================================================
-  let last = performance.now();
-  function loop(now) {
-    const dt = Math.min(0.033, (now - last) / 1000);
-    last = now;
-    update(dt);
-    render();
-    requestAnimationFrame(loop);
+    // real-time playback: spend the frame's time on recorded ticks.
+    // Returns the render interpolation alpha.
+    function updateReplay(frameDt) {
+      const r = replay;
+      const d = r.data;
+      if (r.tick >= d.ticks) return 1;
+
+      if (!r.paused) {
+        r.clock += frameDt * r.speed;
+        while (r.tick < d.ticks && r.clock >= d.dt[r.tick]) {
+          r.clock -= d.dt[r.tick];
+          replayStep();
+        }
+      }
+      return r.tick < d.ticks ? clamp(r.clock / d.dt[r.tick], 0, 1) : 1;
+    }
+
+    // scrubbing back means re-simulating from the start, silently
+    function seekReplay(target) {
+      const r = replay;
+      target = clamp(target, 0, r.data.ticks);
+      if (target < r.tick) restartReplay();
+
+      silent = true;
+      while (r.tick < target) replayStep();
+      silent = false;
+      r.clock = 0;
+    }
+
+    function seekReplayBy(seconds) {
+      const d = replay.data;
+      seekReplay(REPLAY.tickAt(d, d.time[replay.tick] + seconds));
+    }
+
+    // the flight keys drive playback, so they follow the player's bindings
+    function replayKey(k) {
+      const is = (action) => BINDS[action].includes(k);
+      const speed = REPLAY_SPEEDS.indexOf(replay.speed);
+      if (is("fire")) replay.paused = !replay.paused;
+      else if (is("up")) replay.speed = REPLAY_SPEEDS[Math.min(speed + 1, REPLAY_SPEEDS.length - 1)];
+      else if (is("down")) replay.speed = REPLAY_SPEEDS[Math.max(speed - 1, 0)];
+      else if (is("right")) seekReplayBy(REPLAY_SKIP);
+      else if (is("left")) seekReplayBy(-REPLAY_SKIP);
+      else if (is("missile")) seekReplay(0);
+      else if (is("pause")) exitReplay();
+    }
+
+    // click/tap the timeline to seek, anywhere else to pause
+    function replayTap(p) {
+      const b = REPLAY_BAR;
+      if (p.x >= b.x && p.x <= b.x + b.w && Math.abs(p.y - (b.y + b.h / 2)) < 18) {
+        const d = replay.data;
+        seekReplay(REPLAY.tickAt(d, ((p.x - b.x) / b.w) * d.duration));
+      } else {
+        replay.paused = !replay.paused;
+      }
+    }
+
+    listen(canvas, "mousedown", (e) => {
+      if (replay) replayTap(toCanvas(e));
+    });
+
+    function fmtTime(sec) {
+      const s = Math.floor(sec);
+      return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+    }
+
+    function drawReplayBar() {
+      const r = replay;
+      const d = r.data;
+      const b = REPLAY_BAR;
+
+      ctx.save();
+      ctx.fillStyle = "rgba(5,7,10,0.82)";
+      ctx.fillRect(0, H - 62, W, 62);
+
+      ctx.strokeStyle = COLORS.ui;
+      ctx.fillStyle = COLORS.ui;
+      ctx.lineWidth = 1;
+      ctx.globalAlpha = 0.6;
+      ctx.strokeRect(b.x, b.y, b.w, b.h);
+      ctx.globalAlpha = 1;
+      ctx.fillRect(b.x + 1, b.y + 1, (b.w - 2) * (d.ticks ? r.tick / d.ticks : 1), b.h - 2);
+
+      ctx.font = "13px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+      const status = r.paused ? "PAUSED" : `x${r.speed}`;
+      ctx.fillText(`REPLAY  ${status}   ${fmtTime(d.time[r.tick])} / ${fmtTime(d.duration)}`, b.x, b.y - 12);
+      ctx.textAlign = "right";
+      ctx.globalAlpha = 0.75;
+      const key = (action) => keyLabel(BINDS[action][0]);
+      ctx.fillText(
+        `${key("fire")} pause · ${key("up")}/${key("down")} speed · ${key("left")}/${key("right")} scrub · ${key("missile")} restart · ${key("pause")} exit`,
+        b.x + b.w,
+        b.y - 12
+      );
+      ctx.restore();
+
+      if (r.tick >= d.ticks) {
+        overlay("REPLAY END", [
+          r.verified
+            ? `VERIFIED — ${d.meta.score} in round ${d.meta.round} matches the recording`
+            : `MISMATCH — file claims ${d.meta.score} (round ${d.meta.round}), replay gives ${game.score}`,
+          `${keyLabel(BINDS.missile[0])} to watch again  ·  ${keyLabel(BINDS.pause[0])} to exit`,
+        ]);
+      }
+    }
+
+    // optional page controls (play.html)
+    const replayEls = {
+      watch: document.getElementById("replayWatch"),
+      save: document.getElementById("replaySave"),
+      file: document.getElementById("replayFile"),
+      status: document.getElementById("replayStatus"),
+    };
+
+    function updateReplayUI(msg) {
+      if (replayEls.watch) replayEls.watch.disabled = !REPLAY || !lastReplay;
+      if (replayEls.save) replayEls.save.disabled = !REPLAY || !lastReplay;
+      if (replayEls.status && msg !== undefined) replayEls.status.textContent = msg;
+    }
+
+    function tryWatch(read) {
+      try {
+        watchReplay(read());
+        updateReplayUI("");
+      } catch (err) {
+        updateReplayUI(err.message);
+      }
+    }
+
+    if (REPLAY) {
+      if (replayEls.watch) listen(replayEls.watch, "click", () => tryWatch(() => REPLAY.expand(lastReplay)));
+      if (replayEls.save) listen(replayEls.save, "click", () => lastReplay && REPLAY.download(lastReplay));
+      if (replayEls.file) {
+        listen(replayEls.file, "change", () => {
+          const f = replayEls.file.files[0];
+          if (!f) return;
+          f.text().then((text) => tryWatch(() => REPLAY.parse(text)));
+          replayEls.file.value = "";
+        });
+      }
+    }
+    updateReplayUI();
+
+    // daily challenge page controls (play.html), optional like the replay ones
+    const dailyEls = {
+      start: document.getElementById("dailyStart"),
+      copy: document.getElementById("dailyCopy"),
+      status: document.getElementById("dailyStatus"),
+    };
+
+    // the last finished attempt: the run just flown, else today's
+    function dailyShare() {
+      const day = daily ? daily.day : DAILY.today();
+      const res = dailyResult(day);
+      return res && res.done ? DAILY.shareText(day, res) : "";
+    }
+
+    function copyDailyResult() {
+      const text = DAILY ? dailyShare() : "";
+      if (!text) return;
+      const copied = () => {
+        toasts.push({ head: "DAILY RESULT", text: "COPIED TO CLIPBOARD", age: 0 });
+        updateDailyUI(text);
+      };
+      if (navigator.clipboard) navigator.clipboard.writeText(text).then(copied, () => updateDailyUI(text));
+      else updateDailyUI(text); // shown for copying by hand
+    }
+
+    function updateDailyUI(msg) {
+      dailySeen.day = null;
+      if (dailyEls.start) dailyEls.start.disabled = !DAILY;
+      if (dailyEls.copy) dailyEls.copy.disabled = !DAILY || !dailyShare();
+      if (!dailyEls.status || !DAILY) return;
+      dailyEls.status.textContent = msg !== undefined ? msg : `Today's course: ${dailyTitle()}`;
+    }
+
+    if (DAILY) {
+      if (dailyEls.start) {
+        listen(dailyEls.start, "click", () => {
+          if (replay) exitReplay();
+          startGame("daily");
+        });
+      }
+      if (dailyEls.copy) listen(dailyEls.copy, "click", copyDailyResult);
+    }
+    updateDailyUI();
+
+    // ============================================================
+    // Loop
+    // ============================================================
+    const NO_INPUT = { ax: 0, ay: 0, flags: 0 };
+
+    // fixed step, already quantized so replays store it exactly
+    const STEP_Q = Math.round(DT_SCALE / TUNE.simHz);
+    const STEP = STEP_Q / DT_SCALE;
+    const MAX_FRAME = 0.1; // longer stalls (tab switch, breakpoint) are dropped
+
+    // one live tick: record, simulate
+    function tick() {
+      if (!game.running()) {
+        update(STEP, NO_INPUT);
+        if (game.state === "initials") game.t += STEP; // keeps the cursor blinking
+        return;
+      }
+
+      const q = readInput();
+      if (recorder) recorder.push(STEP_Q, q.ax, q.ay, q.flags);
+      update(STEP, { ax: q.ax / AXIS_SCALE, ay: q.ay / AXIS_SCALE, flags: q.flags });
+      if (tracker && !practice && game.state === "playing") tracker.tick(STEP);
+
+      if (recorder && (game.state === "initials" || game.state === "gameover")) stopRecording();
+    }
+
+    let last = performance.now();
+    let acc = 0;
+    let frameId = 0;
+    let destroyed = false;
+    function loop(now) {
+      const frameDt = Math.min(MAX_FRAME, (now - last) / 1000);
+      last = now;
+      pollPad();
+
+      let alpha;
+      if (replay) {
+        alpha = updateReplay(frameDt);
+      } else {
+        acc += frameDt;
+        while (acc >= STEP) {
+          tick();
+          acc -= STEP;
+        }
+        alpha = acc / STEP;
+      }
+
+      if (audio) audio.update(game.state === "playing", game.scrollSpeed);
+      updateToasts(frameDt);
+      render(alpha);
+      if (!destroyed) frameId = requestAnimationFrame(loop);
+    }
+    frameId = requestAnimationFrame(loop);
+
+    // ============================================================
+    // Controller (starts on the title screen)
+    // ============================================================
+    return {
+      canvas,
+
+      // begin a run from the title / game-over screen
+      start() {
+        if (!replay && (game.state === "title" || game.state === "gameover")) startGame();
+      },
+
+      pause() {
+        if (replay) replay.paused = true;
+        else if (game.state === "playing") togglePause();
+      },
+
+      resume() {
+        if (replay) replay.paused = false;
+        else if (game.state === "paused") togglePause();
+      },
+
+      // level editor: show rounds[round - 1] frozen at distance...
+      preview(rounds, round, distance) {
+        startPractice(rounds, round, distance, true);
+      },
+
+      // ...or fly it from there (no recording, achievements or scores)
+      playFrom(rounds, round, distance) {
+        startPractice(rounds, round, distance, false);
+      },
+
+      // today's daily challenge; the first one each UTC day is scored
+      startDaily() {
+        if (!DAILY) return;
+        if (replay) exitReplay();
+        startGame("daily");
+      },
+
+      // drop whatever is going on (run, replay, initials) and fly a fresh run
+      restart() {
+        if (replay) exitReplay();
+        startGame();
+      },
+
+      destroy() {
+        if (destroyed) return;
+        destroyed = true;
+        cancelAnimationFrame(frameId);
+        for (const off of unlisteners) off();
+        unlisteners.length = 0;
+        recorder = null;
+        if (audio) audio.update(false, 0);
+        events.handlers = {};
+      },
+
+      // enemyDestroyed, missileFired, shipDamaged, lifeLost, roundStarted,
+      // roundCleared, bossArrived, bossDefeated, pickupCollected, gameOver,
+      // achievementUnlocked; every detail carries { score, round }
+      on: (type, fn) => events.on(type, fn),
+      off: (type, fn) => events.off(type, fn),
+
+      get state() {
+        return game.state;
+      },
+      get score() {
+        return game.score;
+      },
+      get round() {
+        return game.round;
+      },
+      get lives() {
+        return game.lives;
+      },
+      get distance() {
+        return game.distance;
+      },
+      // this round's course knots (TrenchCore.sampleCourse)
+      get course() {
+        return game.course;
+      },
+    };
   }
-  requestAnimationFrame(loop);
 
-  // ============================================================
-  // Start on title screen
-  // ============================================================
+  window.createTrenchRun = createTrenchRun;
 })();
@@ -0,0 +1,192 @@
+// game/replay.js
+// Input recording and replay files. The game records one entry per
+// simulation tick (its dt and the player's input) plus the seed,
+// difficulty and authored rounds; feeding the same ticks back through
+// update() on those reproduces the run exactly.
+(() => {
+  "use strict";
+
+  const FORMAT = "ntr-replay";
+  // Bump when the file changes shape *or* when a tick simulates differently
+  // (anything in game/core.js that moves, spawns, collides or scores): an
+  // older recording would play out a different run and fail to verify.
+  const VERSION = 4;
+
+  // game/settings.js and game/rounds.js: globals on the page (settings.js
+  // loads first, rounds.js by the time a replay is read), require() in Node
+  const NODE = typeof module === "object" && !!module.exports;
+  const { DIFFICULTIES } = NODE ? require("./settings.js") : window.TrenchSettings;
+
+  // dt and stick axes are stored as integers (value * scale). The game
+  // quantizes live input with the same scales, so playback divides back
+  // to bit-identical numbers.
+  class Recorder {
+    // mode: "arcade" or "daily" (daily runs skip the authored rounds)
+    // rounds: the authored round script the run used (TrenchRounds.stringify,
+    // parsed), or null when every round was procedural
+    constructor({ seed, mode = "arcade", difficulty, rounds = null, dtScale, axisScale }) {
+      this.seed = seed;
+      this.mode = mode;
+      this.difficulty = difficulty;
+      this.rounds = rounds;
+      this.dtScale = dtScale;
+      this.axisScale = axisScale;
+      this.ticks = 0;
+      this.dt = [];    // run-length: [dtQ, count]
+      this.input = []; // run-length: [ax, ay, flags, count]
+    }
+
+    push(dtQ, ax, ay, flags) {
+      this.ticks += 1;
+
+      const d = this.dt[this.dt.length - 1];
+      if (d && d[0] === dtQ) d[1] += 1;
+      else this.dt.push([dtQ, 1]);
+
+      const i = this.input[this.input.length - 1];
+      if (i && i[0] === ax && i[1] === ay && i[2] === flags) i[3] += 1;
+      else this.input.push([ax, ay, flags, 1]);
+    }
+
+    finish({ score, round }) {
+      return {
+        format: FORMAT,
+        version: VERSION,
+        date: new Date().toISOString(),
+        seed: this.seed,
+        mode: this.mode,
+        difficulty: this.difficulty,
+        rounds: this.rounds,
+        dtScale: this.dtScale,
+        axisScale: this.axisScale,
+        ticks: this.ticks,
+        score,
+        round,
+        dt: this.dt,
+        input: this.input,
+      };
+    }
+  }
+
+  function fail(msg) {
+    throw new Error(`Replay: ${msg}`);
+  }
+
+  function isInt(v) {
+    return Number.isInteger(v);
+  }
+
+  // the recorded round script, validated like campaign.json (game/rounds.js)
+  function roundsOf(data) {
+    if (data.rounds === null) return [];
+    try {
+      return (NODE ? require("./rounds.js") : window.TrenchRounds).validate(data.rounds);
+    } catch (err) {
+      fail(`its rounds don't load: ${err.message}`);
+    }
+  }
+
+  // Validate a parsed replay and unpack it for random access by tick.
+  function expand(data) {
+    if (!data || typeof data !== "object" || data.format !== FORMAT) fail("not a Neon Trench Run replay file");
+    if (isInt(data.version) && data.version < VERSION) fail("recorded by an older version of the game, which plays differently");
+    if (data.version !== VERSION) fail(`unsupported version ${data.version} (this build reads ${VERSION})`);
+    if (!isInt(data.seed)) fail("missing seed");
+    if (data.mode !== undefined && data.mode !== "arcade" && data.mode !== "daily") fail(`unknown mode ${data.mode}`);
+    if (!DIFFICULTIES.includes(data.difficulty)) fail(`unknown difficulty ${data.difficulty}`);
+    if (!isInt(data.ticks) || data.ticks < 0) fail("bad tick count");
+    if (!isInt(data.dtScale) || data.dtScale <= 0 || !isInt(data.axisScale) || data.axisScale <= 0) fail("bad scales");
+    if (!Array.isArray(data.dt) || !Array.isArray(data.input)) fail("missing tick data");
+    const rounds = roundsOf(data);
+
+    const n = data.ticks;
+    const dt = new Float64Array(n);
+    const ax = new Float64Array(n);
+    const ay = new Float64Array(n);
+    const flags = new Uint8Array(n);
+    const time = new Float64Array(n + 1); // time[i] = seconds before tick i
+
+    let t = 0;
+    for (const run of data.dt) {
+      if (!Array.isArray(run) || !isInt(run[0]) || !isInt(run[1]) || run[0] <= 0 || run[1] <= 0) fail("corrupt dt run");
+      for (let k = 0; k < run[1]; k++) {
+        if (t >= n) fail("dt runs longer than tick count");
+        dt[t++] = run[0] / data.dtScale;
+      }
+    }
+    if (t !== n) fail("dt runs shorter than tick count");
+
+    t = 0;
+    for (const run of data.input) {
+      if (!Array.isArray(run) || !run.every(isInt) || run[3] <= 0) fail("corrupt input run");
+      for (let k = 0; k < run[3]; k++) {
+        if (t >= n) fail("input runs longer than tick count");
+        ax[t] = run[0] / data.axisScale;
+        ay[t] = run[1] / data.axisScale;
+        flags[t] = run[2];
+        t++;
+      }
+    }
+    if (t !== n) fail("input runs shorter than tick count");
+
+    for (let i = 0; i < n; i++) time[i + 1] = time[i] + dt[i];
+
+    return {
+      meta: data,
+      rounds,
+      ticks: n,
+      duration: time[n],
+      dt,
+      ax,
+      ay,
+      flags,
+      time,
+    };
+  }
+
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      fail("file is not valid JSON");
+    }
+    return expand(data);
+  }
+
+  // first tick whose start time is >= seconds
+  function tickAt(replay, seconds) {
+    let lo = 0;
+    let hi = replay.ticks;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (replay.time[mid] < seconds) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function download(data) {
+    const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `ntr-replay-${data.date.slice(0, 19).replace(/[:T]/g, "-")}-${data.score}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  const TrenchReplay = {
+    FORMAT,
+    VERSION,
+    Recorder,
+    expand,
+    parse,
+    tickAt,
+    download,
+  };
+
+  if (NODE) module.exports = TrenchReplay;
+  else window.TrenchReplay = TrenchReplay;
+})();
@@ -0,0 +1,261 @@
+// game/rounds.js
+// Authored rounds. A round script is JSON:
+//
+//   {
+//     "format": "ntr-rounds", "version": 1,
+//     "rounds": [{
+//       "name": "Shakedown",
+//       "length": 20000,            distance flown to reach the vent
+//       "speed": 600,               scroll speed...
+//       "speeds": [                 ...changing from here on (optional)
+//         { "at": 12000, "speed": 720 }
+//       ],
+//       "course": [                 optional; procedural bends if left out
+//         { "at": 4000, "bend": 120, "width": 0.8, "depth": 1 }
+//       ],
+//       "spawns": [
+//         { "at": 2600, "type": "interceptor", "x": 0.4, "y": -0.2 },
+//         { "at": 5000, "type": "catwalk", "y": 0.3 }
+//       ],
+//       "finale": { "bonus": 1500, "ventRadius": 80 }   optional
+//     }]
+//   }
+//
+// "at" is distance along the round (the same axis as "length"). x and y
+// are fractions of the local half width / half height, -1..1, so a spawn
+// sits in the same spot whatever the trench is doing there. Rounds past the
+// last authored one fall back to the procedural generator.
+(() => {
+  "use strict";
+
+  const FORMAT = "ntr-rounds";
+  const VERSION = 1;
+
+  const SIDES = ["left", "right"];
+
+  // per spawn type: field -> [kind, default, ...range or choices]
+  const SPAWNS = {
+    interceptor: { x: ["num", 0, -1, 1], y: ["num", 0, -1, 1] },
+    diver: { x: ["num", 0, -1, 1], y: ["num", 0, -1, 1] },
+    heavy: { x: ["num", 0, -1, 1], y: ["num", 0, -1, 1] },
+    turret: { side: ["one", "left", ...SIDES], y: ["num", 0, -1, 1] },
+    formation: { shape: ["one", "v", "v", "line", "pincer"], y: ["num", 0, -1, 1] },
+    pipe: { side: ["one", "left", ...SIDES], y: ["num", 0, -1, 1], length: ["num", 120, 40, 240] },
+    catwalk: { y: ["num", 0, -0.6, 0.6], thickness: ["num", 22, 10, 40] },
+    beam: { x: ["num", 0, -0.9, 0.9], width: ["num", 30, 16, 60] },
+    door: { x: ["num", 0, -0.6, 0.6] },
+    barrier: { half: ["one", "low", "low", "high", "left", "right"] },
+  };
+
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+  // Check a parsed script and return its rounds with every default filled
+  // in and spawns in "at" order. Throws listing every problem found, each
+  // with its path (e.g. rounds[1].spawns[4].type).
+  function validate(data) {
+    const problems = [];
+    const bad = (path, msg) => problems.push(`${path}: ${msg}`);
+
+    // def undefined: required; null: optional with no default
+    function num(obj, path, key, def, lo, hi) {
+      const v = obj[key];
+      if (v === undefined && def !== undefined) return def;
+      if (!isNum(v)) {
+        bad(`${path}.${key}`, v === undefined ? "missing (a number)" : `expected a number, got ${JSON.stringify(v)}`);
+        return def;
+      }
+      if (v < lo || v > hi) bad(`${path}.${key}`, `${v} is outside ${lo}..${hi}`);
+      return v;
+    }
+
+    function one(obj, path, key, def, choices) {
+      const v = obj[key];
+      if (v === undefined) return def;
+      if (!choices.includes(v)) {
+        bad(`${path}.${key}`, `expected one of ${choices.map((c) => JSON.stringify(c)).join(", ")}, got ${JSON.stringify(v)}`);
+        return def;
+      }
+      return v;
+    }
+
+    function unknown(obj, path, known) {
+      for (const key of Object.keys(obj)) {
+        if (!known.includes(key)) bad(`${path}.${key}`, "unknown field");
+      }
+    }
+
+    function spawn(s, path, length) {
+      if (!isObj(s)) {
+        bad(path, "expected an object");
+        return null;
+      }
+      const fields = SPAWNS[s.type];
+      if (!fields) {
+        bad(`${path}.type`, `expected one of ${Object.keys(SPAWNS).map((t) => JSON.stringify(t)).join(", ")}, got ${JSON.stringify(s.type)}`);
+        return null;
+      }
+      unknown(s, path, ["at", "type", ...Object.keys(fields)]);
+
+      const out = { at: num(s, path, "at", undefined, 0, length), type: s.type };
+      for (const [key, [kind, def, ...rest]] of Object.entries(fields)) {
+        out[key] = kind === "num" ? num(s, path, key, def, rest[0], rest[1]) : one(s, path, key, def, rest);
+      }
+      return out;
+    }
+
+    function round(r, path) {
+      if (!isObj(r)) {
+        bad(path, "expected an object");
+        return null;
+      }
+      unknown(r, path, ["name", "length", "speed", "speeds", "course", "spawns", "finale"]);
+
+      if (r.name !== undefined && typeof r.name !== "string") bad(`${path}.name`, "expected a string");
+      const length = num(r, path, "length", undefined, 6000, 200000);
+      const speed = num(r, path, "speed", undefined, 200, 1400);
+
+      let speeds = [];
+      if (r.speeds !== undefined) {
+        if (!Array.isArray(r.speeds)) bad(`${path}.speeds`, "expected a list");
+        else {
+          speeds = r.speeds.map((k, i) => {
+            const p = `${path}.speeds[${i}]`;
+            if (!isObj(k)) {
+              bad(p, "expected an object");
+              return null;
+            }
+            unknown(k, p, ["at", "speed"]);
+            return { at: num(k, p, "at", undefined, 0, 200000), speed: num(k, p, "speed", undefined, 200, 1400) };
+          });
+        }
+      }
+
+      let course = null;
+      if (r.course !== undefined) {
+        if (!Array.isArray(r.course)) bad(`${path}.course`, "expected a list");
+        else {
+          course = r.course.map((k, i) => {
+            const p = `${path}.course[${i}]`;
+            if (!isObj(k)) {
+              bad(p, "expected an object");
+              return null;
+            }
+            unknown(k, p, ["at", "bend", "width", "depth"]);
+            return {
+              at: num(k, p, "at", undefined, 0, 200000),
+              bend: num(k, p, "bend", 0, -320, 320),
+              width: num(k, p, "width", 1, 0.6, 1.5),
+              depth: num(k, p, "depth", 1, 0.6, 1.4),
+            };
+          });
+        }
+      }
+
+      let spawns = [];
+      if (!Array.isArray(r.spawns)) bad(`${path}.spawns`, r.spawns === undefined ? "missing (a list)" : "expected a list");
+      else spawns = r.spawns.map((s, i) => spawn(s, `${path}.spawns[${i}]`, isNum(length) ? length : Infinity));
+
+      let finale = { bonus: null, ventRadius: null };
+      if (r.finale !== undefined) {
+        if (!isObj(r.finale)) bad(`${path}.finale`, "expected an object");
+        else {
+          unknown(r.finale, `${path}.finale`, ["bonus", "ventRadius"]);
+          finale = {
+            bonus: num(r.finale, `${path}.finale`, "bonus", null, 0, 1e6),
+            ventRadius: num(r.finale, `${path}.finale`, "ventRadius", null, 30, 160),
+          };
+        }
+      }
+
+      return {
+        name: typeof r.name === "string" ? r.name : "",
+        length,
+        speed,
+        speeds: speeds.filter(Boolean).sort((a, b) => a.at - b.at),
+        course: course && course.filter(Boolean).sort((a, b) => a.at - b.at),
+        spawns: spawns.filter(Boolean).sort((a, b) => a.at - b.at),
+        finale,
+      };
+    }
+
+    if (!isObj(data) || data.format !== FORMAT) {
+      bad("script", `not a round script (expected "format": "${FORMAT}")`);
+    } else if (data.version !== VERSION) {
+      bad("version", `unsupported version ${JSON.stringify(data.version)} (this build reads ${VERSION})`);
+    } else if (!Array.isArray(data.rounds) || !data.rounds.length) {
+      bad("rounds", "expected a list of at least one round");
+    }
+
+    const rounds = problems.length ? [] : data.rounds.map((r, i) => round(r, `rounds[${i}]`));
+    if (problems.length) {
+      const err = new Error(`Round script: ${problems.length} problem(s)\n  ${problems.join("\n  ")}`);
+      err.problems = problems;
+      throw err;
+    }
+    return rounds;
+  }
+
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Round script: not valid JSON (${err.message})`);
+    }
+    return validate(data);
+  }
+
+  // rounds as validate returns them, back to script text; fields left at
+  // their defaults are left out
+  function stringify(rounds) {
+    const out = rounds.map((r) => {
+      const o = {};
+      if (r.name) o.name = r.name;
+      o.length = r.length;
+      o.speed = r.speed;
+      if (r.speeds.length) o.speeds = r.speeds.map(({ at, speed }) => ({ at, speed }));
+      if (r.course) o.course = r.course.map(({ at, bend, width, depth }) => ({ at, bend, width, depth }));
+      o.spawns = r.spawns.map((s) => {
+        const spawn = { at: s.at, type: s.type };
+        for (const [key, [, def]] of Object.entries(SPAWNS[s.type])) {
+          if (s[key] !== def) spawn[key] = s[key];
+        }
+        return spawn;
+      });
+      const finale = {};
+      if (r.finale.bonus !== null) finale.bonus = r.finale.bonus;
+      if (r.finale.ventRadius !== null) finale.ventRadius = r.finale.ventRadius;
+      if (Object.keys(finale).length) o.finale = finale;
+      return o;
+    });
+    return JSON.stringify({ format: FORMAT, version: VERSION, rounds: out }, null, 2);
+  }
+
+  // save as a .json file (browser only)
+  function download(rounds, name = "ntr-rounds") {
+    const blob = new Blob([stringify(rounds)], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = `${name}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  // fetch + parse; rejects with the same errors
+  function load(url) {
+    return fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Round script: ${url} answered ${res.status}`);
+        return res.text();
+      })
+      .then(parse);
+  }
+
+  const TrenchRounds = { FORMAT, VERSION, SPAWNS, validate, parse, stringify, download, load };
+
+  if (typeof module === "object" && module.exports) module.exports = TrenchRounds;
+  else window.TrenchRounds = TrenchRounds;
+})();
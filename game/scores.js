@@ -0,0 +1,113 @@
+// game/scores.js
+// Local high-score tables shared by the game and leaderboard.html, one
+// per difficulty (TrenchCore.DIFFICULTY keys) plus "legacy" for scores
+// from before difficulty was recorded.
+(() => {
+  "use strict";
+
+  const KEY = "ntr.scores";
+  const VERSION = 2;
+  const TOP_N = 10; // per difficulty
+
+  // One step per schema bump: MIGRATE[n] turns a v(n) store into v(n+1).
+  // Never drop entries here, players keep their history across updates.
+  const MIGRATE = {
+    // v1 kept one table for every setting (Easy and Hard already played
+    // differently) and didn't record which, so those runs go to a "legacy"
+    // table of their own that new runs never join
+    1: (data) => ({ ...data, entries: data.entries.map((e) => ({ ...e, difficulty: "legacy" })) }),
+  };
+
+  function empty() {
+    return { version: VERSION, entries: [] };
+  }
+
+  function cleanEntry(e) {
+    if (!e || typeof e !== "object") return null;
+    const score = Math.floor(Number(e.score));
+    const round = Math.floor(Number(e.round));
+    if (!Number.isFinite(score) || score < 0) return null;
+
+    const initials = String(e.initials || "???")
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "")
+      .slice(0, 3)
+      .padEnd(3, "-");
+    const date = typeof e.date === "string" && !isNaN(Date.parse(e.date)) ? e.date : new Date(0).toISOString();
+
+    const difficulty = typeof e.difficulty === "string" && /^[a-z]+$/.test(e.difficulty) ? e.difficulty : "normal";
+
+    return { initials, score, round: Number.isFinite(round) && round > 0 ? round : 1, date, difficulty };
+  }
+
+  function sortEntries(entries) {
+    // ties: older score keeps the higher place
+    return entries.sort((a, b) => b.score - a.score || Date.parse(a.date) - Date.parse(b.date));
+  }
+
+  // sorted entries -> the best TOP_N of each difficulty, still sorted
+  function topEntries(entries) {
+    const count = {};
+    return entries.filter((e) => (count[e.difficulty] = (count[e.difficulty] || 0) + 1) <= TOP_N);
+  }
+
+  // one difficulty's table, best first
+  function table(entries, difficulty) {
+    return entries.filter((e) => e.difficulty === difficulty);
+  }
+
+  function load() {
+    let data;
+    try {
+      data = JSON.parse(localStorage.getItem(KEY));
+    } catch (err) {
+      return empty();
+    }
+    if (!data || typeof data !== "object" || !Array.isArray(data.entries)) return empty();
+
+    let version = Number(data.version) || 0;
+    while (version < VERSION) {
+      const step = MIGRATE[version];
+      if (step) data = step(data);
+      version += 1;
+    }
+
+    // a store from a newer build is shown best-effort but never written back
+    const entries = data.entries.map(cleanEntry).filter(Boolean);
+    return { version, entries: topEntries(sortEntries(entries)) };
+  }
+
+  function save(data) {
+    if (data.version !== VERSION) return false;
+    try {
+      localStorage.setItem(KEY, JSON.stringify(data));
+      return true;
+    } catch (err) {
+      return false; // private mode / storage full
+    }
+  }
+
+  function qualifies(score, difficulty = "normal") {
+    if (score <= 0) return false;
+    const entries = table(load().entries, difficulty);
+    return entries.length < TOP_N || score > entries[entries.length - 1].score;
+  }
+
+  // returns the 1-based rank on that difficulty's table, or 0 if it didn't make it
+  function add(initials, score, round, difficulty = "normal") {
+    const data = load();
+    const entry = cleanEntry({ initials, score, round, difficulty, date: new Date().toISOString() });
+    if (!entry) return 0;
+
+    data.entries.push(entry);
+    data.entries = topEntries(sortEntries(data.entries));
+    save(data);
+
+    return table(data.entries, entry.difficulty).indexOf(entry) + 1;
+  }
+
+  const TrenchScores = { KEY, VERSION, TOP_N, load, table, qualifies, add };
+
+  if (typeof module === "object" && module.exports) module.exports = TrenchScores;
+  else window.TrenchScores = TrenchScores;
+})();
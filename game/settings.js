@@ -0,0 +1,129 @@
+// game/settings.js
+// Player settings shared by settings.html and the game.
+(() => {
+  "use strict";
+
+  const KEY = "ntr.settings";
+  const VERSION = 1;
+
+  const DIFFICULTIES = ["easy", "normal", "hard", "ace"]; // TrenchCore.DIFFICULTY keys
+  const ACTIONS = ["up", "down", "left", "right", "fire", "missile", "pause", "mute", "daily", "copy", "watch"];
+
+  // keys are stored as KeyboardEvent.key, lowercased
+  const DEFAULTS = {
+    volume: 0.8,        // master
+    sfxVolume: 0.9,
+    musicVolume: 0.6,
+    muted: false,
+    difficulty: "normal",
+    reducedMotion: false,
+    hudScale: 1,
+    keys: {
+      up: ["w", "arrowup"],
+      down: ["s", "arrowdown"],
+      left: ["a", "arrowleft"],
+      right: ["d", "arrowright"],
+      fire: [" "],
+      missile: ["m"],
+      pause: ["escape"],
+      mute: ["v"],
+      daily: ["t"], // title / game over: start the daily challenge
+      copy: ["c"],  // daily game over: copy the result
+      watch: ["r"], // game over: watch the run's replay
+    },
+  };
+
+  // keys the game reserves for menus; never bindable
+  const RESERVED = ["enter", "tab"];
+
+  function defaults() {
+    return JSON.parse(JSON.stringify(DEFAULTS));
+  }
+
+  function num(v, lo, hi, fallback) {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= lo && n <= hi ? n : fallback;
+  }
+
+  function cleanKeys(saved) {
+    const out = defaults().keys;
+    if (!saved || typeof saved !== "object") return out;
+
+    // the player's own keys first, so no default can take one of them
+    const taken = new Set();
+    const own = {};
+    for (const action of ACTIONS) {
+      const list = Array.isArray(saved[action]) ? saved[action] : [];
+      own[action] = list
+        .filter((k) => typeof k === "string" && k.length > 0 && !RESERVED.includes(k.toLowerCase()))
+        .map((k) => k.toLowerCase())
+        .filter((k, i, all) => !taken.has(k) && all.indexOf(k) === i)
+        .slice(0, 2);
+      for (const k of own[action]) taken.add(k);
+    }
+
+    // defaults for anything left unbound (e.g. an action added since the
+    // save). If another action already has them, the two share a key:
+    // better than an action nothing can trigger.
+    for (const action of ACTIONS) {
+      if (own[action].length) {
+        out[action] = own[action];
+        continue;
+      }
+      const free = out[action].filter((k) => !taken.has(k));
+      if (free.length) out[action] = free;
+      for (const k of out[action]) taken.add(k);
+    }
+    return out;
+  }
+
+  // Field by field: anything missing, out of range or from an unknown
+  // version falls back to its default instead of failing the whole load.
+  function validate(data) {
+    const d = defaults();
+    if (!data || typeof data !== "object") return d;
+
+    return {
+      volume: num(data.volume, 0, 1, d.volume),
+      sfxVolume: num(data.sfxVolume, 0, 1, d.sfxVolume),
+      musicVolume: num(data.musicVolume, 0, 1, d.musicVolume),
+      muted: typeof data.muted === "boolean" ? data.muted : d.muted,
+      difficulty: DIFFICULTIES.includes(data.difficulty) ? data.difficulty : d.difficulty,
+      reducedMotion: typeof data.reducedMotion === "boolean" ? data.reducedMotion : d.reducedMotion,
+      hudScale: num(data.hudScale, 0.75, 1.5, d.hudScale),
+      keys: cleanKeys(data.keys),
+    };
+  }
+
+  function load() {
+    try {
+      return validate(JSON.parse(localStorage.getItem(KEY)));
+    } catch (err) {
+      return defaults();
+    }
+  }
+
+  function save(settings) {
+    const clean = validate(settings);
+    try {
+      localStorage.setItem(KEY, JSON.stringify({ version: VERSION, ...clean }));
+    } catch (err) {
+      // private mode / storage full: settings just won't persist
+    }
+    return clean;
+  }
+
+  function reset() {
+    try {
+      localStorage.removeItem(KEY);
+    } catch (err) {
+      // ignore
+    }
+    return defaults();
+  }
+
+  const TrenchSettings = { KEY, VERSION, DIFFICULTIES, ACTIONS, RESERVED, defaults, validate, load, save, reset };
+
+  if (typeof module === "object" && module.exports) module.exports = TrenchSettings;
+  else window.TrenchSettings = TrenchSettings;
+})();
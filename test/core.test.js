@@ -0,0 +1,505 @@
+// test/core.test.js
+// The headless core under Node's own runner: node --test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCore, IN_FIRE, IN_MISSILE } = require("../game/core.js");
+
+const DT = 1 / 60;
+const IDLE = { ax: 0, ay: 0, flags: 0 };
+
+// a fresh run with the trench cleared, and every event it reports
+function setup() {
+  const events = [];
+  const core = createCore({ emit: (type, detail) => events.push({ type, ...detail }) });
+  core.game.newGame();
+  clearTrench(core.game);
+  events.length = 0;
+  return { core, game: core.game, events };
+}
+
+// nothing but what the test puts there; spawners held off
+function clearTrench(game) {
+  game.enemies = [];
+  game.formations = [];
+  game.obstacles = [];
+  game.enemyShots = [];
+  game.pickups = [];
+  game.enemyTimer = 1e9;
+  game.obstacleTimer = 1e9;
+  game.pickupTimer = 1e9;
+}
+
+function step(core, n, input = IDLE) {
+  for (let i = 0; i < n; i++) core.update(DT, input);
+}
+
+function until(core, done, max, input = IDLE) {
+  for (let i = 0; i < max && !done(); i++) core.update(DT, input);
+  return done();
+}
+
+const ofType = (events, type) => events.filter((e) => e.type === type);
+
+test("a pipe across the ship's path takes shield", () => {
+  const { core, game, events } = setup();
+  const lives = game.lives;
+  // from the left wall right across the centre, at the ship's height
+  game.obstacles.push(new core.Pipe(-1, game.ship.y, game.shipZ + 200, 2 * game.trenchNearHalfW, 18));
+
+  assert.ok(until(core, () => ofType(events, "shipDamaged").length > 0, 120));
+  assert.ok(game.shield < core.TUNE.shieldMax);
+  assert.equal(game.hull, core.TUNE.hullMax);
+  assert.equal(game.lives, lives);
+});
+
+// flies the ship through one obstacle; true if it took a hit
+function flyThrough(build) {
+  const { core, game, events } = setup();
+  game.obstacles.push(build(core, game));
+  step(core, 60);
+  return ofType(events, "shipDamaged").length > 0;
+}
+
+test("a catwalk at the ship's height hits it; one above is flown under", () => {
+  assert.equal(flyThrough((core, game) => new core.Catwalk(game.ship.y, game.shipZ + 200, 20)), true);
+  assert.equal(flyThrough((core, game) => new core.Catwalk(game.ship.y + 100, game.shipZ + 200, 20)), false);
+});
+
+test("a beam in line with the ship hits it; one off to the side is flown past", () => {
+  assert.equal(flyThrough((core, game) => new core.Beam(0, game.shipZ + 200, 30)), true);
+  assert.equal(flyThrough((core, game) => new core.Beam(0.8, game.shipZ + 200, 30)), false);
+});
+
+test("a blast door lets the ship through its gap and nowhere else", () => {
+  // the gap at rest on its centre while the ship reaches it
+  const still = (u) => (core, game) => {
+    core.TUNE.doorSwing = 0;
+    return new core.BlastDoor(u, game.shipZ + 200, 0);
+  };
+  assert.equal(flyThrough(still(0)), false);
+  assert.equal(flyThrough(still(0.6)), true);
+});
+
+test("a barrier only hurts while it's on, and only on its own half", () => {
+  const { TUNE } = createCore();
+  // the ship reaches it about a third of a second in: on from the start,
+  // or a phase that switches it off 0.2 s in
+  const on = 0;
+  const off = TUNE.barrierPeriod * TUNE.barrierDuty - 0.2;
+  // the ship sits low
+  assert.equal(flyThrough((core, game) => new core.Barrier("low", game.shipZ + 200, on)), true);
+  assert.equal(flyThrough((core, game) => new core.Barrier("low", game.shipZ + 200, off)), false);
+  assert.equal(flyThrough((core, game) => new core.Barrier("high", game.shipZ + 200, on)), false);
+
+  const { core, game } = setup();
+  game.obstacles.push(new core.Barrier("low", game.shipZ + 200, on));
+  step(core, 60);
+  assert.equal(game.shield, TUNE.shieldMax - TUNE.barrierDamage);
+});
+
+test("an enemy laser that reaches the ship takes shield", () => {
+  const { core, game, events } = setup();
+  game.enemyShots.push(new core.LaserShot(game.ship.x, game.ship.y, game.shipZ + 300, "enemy"));
+
+  assert.ok(until(core, () => ofType(events, "shipDamaged").length > 0, 60));
+  assert.equal(game.shield, core.TUNE.shieldMax - core.TUNE.laserDamage);
+  assert.ok(game.enemyShots.every((s) => !s.alive));
+});
+
+test("player lasers destroy an interceptor and score for it", () => {
+  const { core, game, events } = setup();
+  const enemy = new core.Enemy(game.ship.x, game.ship.y, game.shipZ + 500, () => 0.5);
+  game.enemies.push(enemy);
+  const before = game.score;
+
+  assert.ok(until(core, () => !enemy.alive, 120, { ax: 0, ay: 0, flags: IN_FIRE }));
+  const [kill] = ofType(events, "enemyDestroyed");
+  assert.equal(kill.kind, "interceptor");
+  assert.equal(kill.weapon, "laser");
+  assert.ok(kill.points > 0);
+  assert.ok(game.score >= before + kill.points);
+});
+
+test("a diver inside its range dives and rams the ship", () => {
+  const { core, game, events } = setup();
+  const diver = new core.Diver(game.ship.x + 120, game.ship.y, game.shipZ + 900, () => 0.5);
+  game.enemies.push(diver);
+
+  assert.ok(until(core, () => ofType(events, "shipDamaged").length > 0, 120));
+  assert.ok(diver.diving);
+  assert.ok(!diver.alive); // spent on the ram
+  assert.equal(game.shield, core.TUNE.shieldMax - core.TUNE.diverDamage);
+  assert.equal(ofType(events, "enemyDestroyed").length, 0);
+});
+
+test("lasers glance off a heavy; a missile brings it down", () => {
+  const { core, game, events } = setup();
+  const heavy = new core.Heavy(game.ship.x, game.ship.y, game.shipZ + 1400, () => 0.5);
+  game.enemies.push(heavy);
+  step(core, 1, { ax: 0, ay: 0, flags: IN_FIRE });
+  const [shot] = game.playerShots;
+
+  // the shot is spent on the plating, not flown out of the trench
+  assert.ok(until(core, () => !shot.alive, 90, { ax: 0, ay: 0, flags: IN_FIRE }));
+  assert.ok(Math.abs(shot.z - heavy.z) < core.TUNE.enemyZWindow);
+  step(core, 20, { ax: 0, ay: 0, flags: IN_FIRE });
+  assert.ok(heavy.alive);
+  assert.equal(heavy.hp, 2);
+  assert.equal(ofType(events, "enemyDestroyed").length, 0);
+
+  const next = new core.Heavy(game.ship.x, game.ship.y, game.shipZ + 900, () => 0.5);
+  game.enemies = [next];
+  game.invuln = 1e9; // whatever the first one fired
+  assert.ok(until(core, () => !next.alive, 90, { ax: 0, ay: 0, flags: IN_MISSILE }));
+  const [kill] = ofType(events, "enemyDestroyed");
+  assert.equal(kill.kind, "heavy");
+  assert.equal(kill.weapon, "missile");
+});
+
+test("a turret rides its wall and can be shot off it", () => {
+  const { core, game, events } = setup();
+  const turret = new core.Turret(1, game.ship.y, game.shipZ + 1400, () => 0.5);
+  game.enemies.push(turret);
+  game.invuln = 1e9;
+
+  // hugging the right wall
+  assert.ok(until(core, () => !turret.alive, 150, { ax: 1, ay: 0, flags: IN_FIRE }));
+  assert.ok(Math.abs(turret.x - turret.wallX()) < 1); // placed before the last step's scroll
+  const [kill] = ofType(events, "enemyDestroyed");
+  assert.equal(kill.kind, "turret");
+  assert.equal(kill.points, (120 + 300) * kill.combo);
+});
+
+test("a formation holds its shape until one of it is hit, then scatters", () => {
+  const { core, game } = setup();
+  game.addFormation("line", game.ship.y, game.shipZ + 1400);
+  const [f] = game.formations;
+  step(core, 10);
+  const xs = f.members.map((e) => e.x - f.x);
+  assert.deepEqual(xs, f.members.map((e) => e.slot.x));
+
+  assert.ok(until(core, () => f.broken, 120, { ax: 0, ay: 0, flags: IN_FIRE }));
+  assert.ok(f.members.some((e) => e.hp < 2 || !e.alive));
+  step(core, 1);
+  assert.equal(game.formations.length, 0);
+  // the outside pair peel off away from the middle
+  const [left, , , right] = f.members;
+  assert.ok(left.vx < 0 && right.vx > 0);
+});
+
+// an enemy straight ahead fires once at a ship sliding right at a steady speed
+function crossingShot(round) {
+  const { core, game, events } = setup();
+  game.round = round;
+  const ax = 0.1;
+  game.ship.x = -100;
+  game.ship.vx = (ax * core.TUNE.xAccel * core.TUNE.damp) / (1 - core.TUNE.damp); // already at speed
+  new core.Enemy(0, game.ship.y, game.shipZ + 600, () => 0.5).shoot();
+  return until(core, () => ofType(events, "shipDamaged").length > 0, 60, { ax, ay: 0, flags: 0 });
+}
+
+test("later rounds lead their shots onto a moving ship", () => {
+  assert.equal(crossingShot(1), false);
+  assert.equal(crossingShot(8), true); // aim and lead both at full strength
+});
+
+test("an enemy under the reticle jinks away once the pilots are good enough", () => {
+  const jink = (round) => {
+    const { core, game } = setup();
+    game.round = round;
+    const enemy = new core.Enemy(game.ship.x + 20, game.ship.y, game.shipZ + 1500, () => 0.5);
+    game.enemies.push(enemy);
+    step(core, 20);
+    assert.equal(game.lock.target, enemy);
+    return enemy.jinkVx / core.TUNE.jinkSpeed;
+  };
+  assert.equal(jink(1), 0);
+  assert.equal(jink(9), 1); // away from the ship's side
+});
+
+test("losing the last hull point costs a life, then the ship respawns", () => {
+  const { core, game, events } = setup();
+  const lives = game.lives;
+  game.shield = 0;
+  game.hull = 1;
+  game.shieldDelay = 1e9; // no recharge before the shot lands
+  game.enemyShots.push(new core.LaserShot(game.ship.x, game.ship.y, game.shipZ + 300, "enemy"));
+
+  assert.ok(until(core, () => game.state === "dying", 60));
+  const [lost] = ofType(events, "lifeLost");
+  assert.equal(lost.cause, "crash");
+  assert.equal(game.lives, lives - 1);
+
+  const distance = game.distance;
+  assert.ok(until(core, () => game.state === "playing", 120));
+  assert.equal(game.distance, distance); // in place, not back to the start
+  assert.equal(game.enemyShots.length, 0);
+  assert.equal(game.shield, core.TUNE.shieldMax);
+  assert.equal(game.hull, core.TUNE.hullMax);
+});
+
+test("the last life ends the run", () => {
+  const { core, game, events } = setup();
+  game.lives = 1;
+  game.shield = 0;
+  game.hull = 1;
+  game.shieldDelay = 1e9;
+  game.enemyShots.push(new core.LaserShot(game.ship.x, game.ship.y, game.shipZ + 300, "enemy"));
+
+  assert.ok(until(core, () => game.state === "gameover", 180));
+  assert.equal(ofType(events, "gameOver").length, 1);
+});
+
+test("a missile into the vent clears the round and the next one starts fresh", () => {
+  const { core, game, events } = setup();
+  game.distance = game.trenchLength - core.TUNE.ventLockFar - 400;
+  game.shield = 10; // knocked about, so the next round has something to repair
+  game.hull = 1;
+
+  assert.ok(until(core, () => game.ventLocked(), 120));
+  game.ship.x = game.vent.x; // lined up over it
+  const missiles = game.missiles;
+  step(core, 1, { ax: 0, ay: 0, flags: IN_MISSILE });
+  assert.equal(game.missiles, missiles - 1);
+
+  assert.ok(until(core, () => game.state === "cleared", 180));
+  const [cleared] = ofType(events, "roundCleared");
+  assert.ok(cleared.bonus > 0);
+  assert.equal(game.score, cleared.score);
+
+  assert.ok(until(core, () => game.state === "playing", 240));
+  assert.equal(game.round, 2);
+  assert.equal(game.distance, 0);
+  assert.equal(game.vent, null);
+  assert.equal(game.playerShots.length, 0);
+  assert.equal(game.shield, core.TUNE.shieldMax);
+  assert.equal(game.hull, core.TUNE.hullMax);
+  assert.equal(ofType(events, "roundStarted").at(-1).round, 2);
+});
+
+// a run on the given round, just short of where its boss turns up
+function bossRun(round) {
+  const run = setup();
+  const { core, game } = run;
+  game.startAt(round, 0);
+  clearTrench(game);
+  game.distance = game.trenchLength - core.TUNE.bossArrive - 100;
+  game.invuln = 1e9; // the boss shoots back; these tests aren't about that
+  run.events.length = 0;
+  return run;
+}
+
+// holds the ship on a part and fires until it's down
+function shootDown(core, part, max) {
+  const { game } = core;
+  for (let i = 0; i < max && part.alive; i++) {
+    game.ship.x = part.x;
+    game.ship.y = part.y;
+    core.update(DT, { ax: 0, ay: 0, flags: IN_FIRE });
+  }
+  return !part.alive;
+}
+
+test("every third round brings a boss, and the run holds until it's down", () => {
+  const { game } = setup();
+  const rounds = [1, 2, 3, 4, 5, 6].filter((r) => {
+    game.round = r;
+    return game.bossRound();
+  });
+  assert.deepEqual(rounds, [3, 6]);
+
+  const calm = bossRun(2);
+  step(calm.core, 60);
+  assert.equal(calm.game.boss, null);
+
+  const { core, events } = bossRun(3);
+  assert.ok(until(core, () => core.game.boss && core.game.boss.arrived(), 300));
+  assert.equal(ofType(events, "bossArrived").length, 1);
+  const distance = core.game.distance;
+  step(core, 60);
+  assert.equal(core.game.distance, distance);
+});
+
+test("the core shrugs off hits while a generator stands", () => {
+  const { core, game, events } = bossRun(3);
+  assert.ok(until(core, () => game.boss && game.boss.arrived(), 300));
+  const { boss } = game;
+  const [bossCore] = boss.standing("core");
+
+  // fire at the core: every hit glances off
+  for (let i = 0; i < 120; i++) {
+    game.ship.x = bossCore.x;
+    game.ship.y = bossCore.y;
+    core.update(DT, { ax: 0, ay: 0, flags: IN_FIRE });
+  }
+  assert.equal(bossCore.hp, bossCore.hpMax);
+
+  const [left, right] = boss.standing("generator");
+  assert.ok(shootDown(core, left, 600));
+  const [kill] = ofType(events, "enemyDestroyed");
+  assert.equal(kill.kind, "generator");
+  assert.ok(kill.points >= 120 + 800);
+  assert.ok(bossCore.deflects());
+
+  assert.ok(shootDown(core, right, 600));
+  assert.ok(!bossCore.deflects());
+  assert.ok(boss.hp() < boss.hpMax);
+});
+
+test("the boss's phases follow what's left of it", () => {
+  const { core, game } = bossRun(3);
+  assert.ok(until(core, () => game.boss && game.boss.arrived(), 300));
+  const { boss } = game;
+  assert.equal(boss.phase, 1);
+
+  for (const g of boss.standing("generator")) g.hit(g.hp);
+  step(core, 1);
+  assert.equal(boss.phase, 2);
+
+  for (const g of boss.standing("gun")) g.hit(g.hp);
+  step(core, 1);
+  assert.equal(boss.phase, 3);
+
+  // with the guns gone the core fires five-shot spreads
+  game.enemyShots = [];
+  assert.ok(until(core, () => game.enemyShots.length > 0, 120));
+  assert.equal(game.enemyShots.length, 5);
+});
+
+test("downing the core pays the boss bonus and the run goes on to the vent", () => {
+  const { core, game, events } = bossRun(3);
+  assert.ok(until(core, () => game.boss && game.boss.arrived(), 300));
+  const { boss } = game;
+  for (const p of boss.parts) if (p.kind !== "core") p.hit(p.hp);
+
+  const [bossCore] = boss.standing("core");
+  assert.ok(shootDown(core, bossCore, 900));
+  const [down] = ofType(events, "bossDefeated");
+  assert.equal(down.bonus, core.TUNE.bossBonus + 3 * 2000);
+  assert.equal(game.boss, null);
+  assert.ok(game.bossDone);
+  assert.ok(game.enemies.every((e) => !boss.parts.includes(e)));
+
+  const distance = game.distance;
+  step(core, 60);
+  assert.ok(game.distance > distance);
+  assert.equal(ofType(events, "bossArrived").length, 1); // this round's is beaten
+});
+
+// flies the ship through a pickup of the given kind (dx off to the side)
+function pickUp(run, kind, dx = 0) {
+  const { core, game, events } = run;
+  const seen = ofType(events, "pickupCollected").length;
+  game.pickups.push(new core.Pickup(kind, game.ship.x + dx, game.ship.y, game.shipZ + 300));
+  return until(core, () => ofType(events, "pickupCollected").length > seen, 60);
+}
+
+test("each pickup does what it says when flown through", () => {
+  const run = setup();
+  const { core, game, events } = run;
+  const { TUNE } = core;
+
+  game.missiles = 1;
+  assert.ok(pickUp(run, "missiles"));
+  assert.equal(game.missiles, 1 + TUNE.pickupMissiles);
+
+  const lives = game.lives;
+  assert.ok(pickUp(run, "life"));
+  assert.equal(game.lives, lives + 1);
+
+  assert.ok(pickUp(run, "rapid"));
+  step(core, 1, { ax: 0, ay: 0, flags: IN_FIRE });
+  assert.equal(game.laserCd, TUNE.rapidFireCooldown);
+
+  game.shield = 10;
+  game.hull = 1;
+  assert.ok(pickUp(run, "shield"));
+  assert.equal(game.shield, TUNE.shieldMax);
+  assert.equal(game.hull, TUNE.hullMax);
+  game.enemyShots.push(new core.LaserShot(game.ship.x, game.ship.y, game.shipZ + 300, "enemy"));
+  step(core, 30);
+  assert.equal(ofType(events, "shipDamaged").length, 0);
+  assert.equal(game.shield, TUNE.shieldMax);
+
+  // out of reach, until the magnet pulls the next one in
+  assert.equal(pickUp(run, "missiles", 150), false);
+  assert.ok(pickUp(run, "magnet"));
+  assert.ok(pickUp(run, "missiles", 150));
+
+  assert.deepEqual(
+    ofType(events, "pickupCollected").map((e) => e.kind),
+    ["missiles", "life", "rapid", "shield", "magnet", "missiles"]
+  );
+});
+
+test("missiles and extra lives stop at their caps", () => {
+  const run = setup();
+  const { core, game } = run;
+  game.missiles = core.TUNE.missilesMax - 1;
+  game.lives = core.TUNE.livesMax;
+
+  assert.ok(pickUp(run, "missiles"));
+  assert.ok(pickUp(run, "life"));
+  assert.equal(game.missiles, core.TUNE.missilesMax);
+  assert.equal(game.lives, core.TUNE.livesMax);
+});
+
+test("timed pickups wear off", () => {
+  const run = setup();
+  const { core, game, events } = run;
+  const { TUNE } = core;
+  assert.ok(pickUp(run, "rapid"));
+  assert.ok(pickUp(run, "shield"));
+  assert.ok(pickUp(run, "magnet"));
+
+  step(core, Math.ceil(TUNE.shieldBoostTime * 60) + 1);
+  assert.equal(game.effects.shield, 0);
+  assert.ok(game.effects.rapid > 0);
+  game.enemyShots.push(new core.LaserShot(game.ship.x, game.ship.y, game.shipZ + 300, "enemy"));
+  assert.ok(until(core, () => ofType(events, "shipDamaged").length > 0, 60));
+
+  step(core, Math.ceil((TUNE.rapidFireTime - TUNE.shieldBoostTime) * 60));
+  assert.equal(game.effects.rapid, 0);
+  step(core, 1, { ax: 0, ay: 0, flags: IN_FIRE });
+  assert.equal(game.laserCd, TUNE.laserCooldown);
+
+  step(core, Math.ceil((TUNE.magnetTime - TUNE.rapidFireTime) * 60));
+  assert.equal(game.effects.magnet, 0);
+  assert.equal(pickUp(run, "missiles", 150), false);
+});
+
+test("score builds up just for staying alive", () => {
+  const { core, game } = setup();
+  const before = game.score;
+  step(core, 60);
+  assert.ok(game.score > before);
+});
+
+test("the same seed and input play out the same", () => {
+  const run = () => {
+    const core = createCore({ seed: 1234 });
+    core.game.newGame();
+    core.game.lives = 99;
+    for (let i = 0; i < 60 * 20; i++) core.update(DT, { ax: Math.sin(i / 40), ay: 0, flags: i % 3 ? 0 : IN_FIRE });
+    return [core.game.score, core.game.distance, core.game.ship.x, core.game.enemies.length];
+  };
+  assert.deepEqual(run(), run());
+});
+
+test("Reduced Motion changes nothing the sim does", () => {
+  const run = (reducedMotion) => {
+    const core = createCore({ seed: 77 });
+    core.TUNE.reducedMotion = reducedMotion;
+    core.game.newGame();
+    core.game.lives = 99;
+    const locks = [];
+    for (let i = 0; i < 60 * 40; i++) {
+      core.update(DT, { ax: Math.sin(i / 50), ay: Math.cos(i / 70), flags: i % 90 < 45 ? IN_FIRE : IN_MISSILE });
+      locks.push(core.game.lock.dwell.toFixed(4));
+    }
+    return [core.game.score, core.game.ship.x, core.game.missiles, locks.join(",")];
+  };
+  assert.deepEqual(run(true), run(false));
+});
@@ -0,0 +1,77 @@
+// test/daily.test.js
+// Daily challenge bookkeeping (game/daily.js): the date's seed and the
+// one scored attempt per day.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TrenchDaily = require("../game/daily.js");
+
+// a fresh localStorage for every test
+function memoryStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: (k) => map.delete(k),
+  };
+}
+
+test.beforeEach(() => {
+  globalThis.localStorage = memoryStorage();
+});
+
+test("the day rolls over at UTC midnight", () => {
+  assert.equal(TrenchDaily.today(new Date("2026-10-19T23:59:59Z")), "2026-10-19");
+  assert.equal(TrenchDaily.today(new Date("2026-10-20T00:00:00Z")), "2026-10-20");
+});
+
+test("each day hashes to its own fixed seed", () => {
+  const seed = TrenchDaily.seedFor("2026-10-19");
+  assert.equal(TrenchDaily.seedFor("2026-10-19"), seed);
+  assert.notEqual(TrenchDaily.seedFor("2026-10-20"), seed);
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 1e9);
+  assert.equal(seed, 367297688); // pinned: a change would split players across builds
+});
+
+test("only the first run of a day is scored", () => {
+  const day = "2026-10-19";
+  assert.equal(TrenchDaily.result(day), null);
+  assert.equal(TrenchDaily.begin(day), true);
+  assert.deepEqual(TrenchDaily.result(day), { score: 0, round: 1, done: false }); // used up at once
+  assert.equal(TrenchDaily.begin(day), false);
+  assert.equal(TrenchDaily.begin("2026-10-20"), true);
+});
+
+test("finish records the attempt and never lowers it", () => {
+  const day = "2026-10-19";
+  TrenchDaily.begin(day);
+  assert.deepEqual(TrenchDaily.finish(day, 4200, 3), { score: 4200, round: 3, done: true });
+  assert.deepEqual(TrenchDaily.finish(day, 100, 1), { score: 4200, round: 3, done: true });
+  assert.deepEqual(TrenchDaily.result(day), { score: 4200, round: 3, done: true });
+});
+
+test("only the most recent 60 days are kept", () => {
+  const start = Date.UTC(2026, 0, 1);
+  for (let i = 0; i < 61; i++) TrenchDaily.begin(TrenchDaily.today(new Date(start + i * 86400000)));
+
+  const days = Object.keys(TrenchDaily.load().days);
+  assert.equal(days.length, 60);
+  assert.ok(!days.includes("2026-01-01"));
+  assert.ok(days.includes("2026-03-02"));
+});
+
+test("junk in the store is skipped or cleaned", () => {
+  localStorage.setItem(
+    TrenchDaily.KEY,
+    JSON.stringify({ days: { yesterday: { score: 1 }, "2026-10-18": { score: -5, round: "x", done: "yes" } } })
+  );
+  assert.deepEqual(TrenchDaily.load().days, { "2026-10-18": { score: 0, round: 1, done: false } });
+});
+
+test("the share line has the day, score and round", () => {
+  assert.equal(
+    TrenchDaily.shareText("2026-10-19", { score: 123456, round: 4 }),
+    "Neon Trench Run · Daily 2026-10-19 · 123,456 pts · round 4"
+  );
+});
@@ -0,0 +1,113 @@
+// test/replay.test.js
+// Replay files (game/replay.js): recording, expand's checks, and a
+// recorded run played back through a fresh core.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TrenchReplay = require("../game/replay.js");
+const TrenchRounds = require("../game/rounds.js");
+const { createCore, IN_FIRE } = require("../game/core.js");
+
+const DT_SCALE = 10000; // as game/main.js records
+const AXIS_SCALE = 100;
+
+function record(ticks, options = {}) {
+  const rec = new TrenchReplay.Recorder({ seed: 42, difficulty: "normal", dtScale: DT_SCALE, axisScale: AXIS_SCALE, ...options });
+  for (const t of ticks) rec.push(...t);
+  return rec.finish({ score: 0, round: 1 });
+}
+
+// a valid one-tick file with some fields swapped out
+const file = (changes) => ({ ...record([[167, 0, 0, 0]]), ...changes });
+
+test("ticks are stored run-length and expand back tick by tick", () => {
+  const data = record([
+    [167, 0, 0, 0],
+    [167, 0, 0, 0],
+    [166, 50, -100, IN_FIRE],
+  ]);
+  assert.deepEqual(data.dt, [
+    [167, 2],
+    [166, 1],
+  ]);
+  assert.deepEqual(data.input, [
+    [0, 0, 0, 2],
+    [50, -100, IN_FIRE, 1],
+  ]);
+
+  const r = TrenchReplay.expand(data);
+  assert.equal(r.ticks, 3);
+  assert.deepEqual([...r.dt], [0.0167, 0.0167, 0.0166]);
+  assert.deepEqual([...r.ax], [0, 0, 0.5]);
+  assert.deepEqual([...r.ay], [0, 0, -1]);
+  assert.deepEqual([...r.flags], [0, 0, IN_FIRE]);
+  assert.equal(r.duration, r.time[3]);
+  assert.equal(TrenchReplay.tickAt(r, 0.0167), 1);
+  assert.deepEqual(r.rounds, []);
+});
+
+test("a file from another build or game is refused", () => {
+  assert.throws(() => TrenchReplay.expand(file({ format: "other" })), /not a Neon Trench Run replay file/);
+  assert.throws(() => TrenchReplay.expand(file({ version: 1 })), /recorded by an older version of the game/);
+  assert.throws(() => TrenchReplay.expand(file({ version: TrenchReplay.VERSION + 1 })), /unsupported version/);
+});
+
+test("the seed, mode and difficulty have to be ones this build plays", () => {
+  assert.throws(() => TrenchReplay.expand(file({ seed: "x" })), /missing seed/);
+  assert.throws(() => TrenchReplay.expand(file({ mode: "versus" })), /unknown mode versus/);
+  assert.throws(() => TrenchReplay.expand(file({ difficulty: undefined })), /unknown difficulty/);
+  assert.throws(() => TrenchReplay.expand(file({ difficulty: "legacy" })), /unknown difficulty legacy/);
+});
+
+test("tick data has to add up to the tick count", () => {
+  assert.throws(() => TrenchReplay.expand(file({ ticks: 2 })), /dt runs shorter than tick count/);
+  assert.throws(() => TrenchReplay.expand(file({ dt: [[167, 0]] })), /corrupt dt run/);
+  assert.throws(() => TrenchReplay.expand(file({ input: [[0, 0, 0, 3]] })), /input runs longer than tick count/);
+  assert.throws(() => TrenchReplay.expand(file({ input: [[0.5, 0, 0, 1]] })), /corrupt input run/);
+  assert.throws(() => TrenchReplay.parse("{"), /file is not valid JSON/);
+});
+
+test("recorded rounds come back validated, and broken ones are refused", () => {
+  const script = JSON.parse(
+    TrenchRounds.stringify(
+      TrenchRounds.validate({
+        format: TrenchRounds.FORMAT,
+        version: TrenchRounds.VERSION,
+        rounds: [{ length: 20000, speed: 600, spawns: [{ at: 3000, type: "heavy" }] }],
+      })
+    )
+  );
+
+  const r = TrenchReplay.expand(file({ rounds: script }));
+  assert.equal(r.rounds.length, 1);
+  assert.equal(r.rounds[0].spawns[0].type, "heavy");
+
+  script.rounds[0].spawns[0].type = "dragon";
+  assert.throws(() => TrenchReplay.expand(file({ rounds: script })), /its rounds don't load: Round script: 1 problem/);
+  assert.throws(() => TrenchReplay.expand(file({ rounds: undefined })), /its rounds don't load/);
+});
+
+test("a recorded run plays back to the same score", () => {
+  const fly = (next) => {
+    const core = createCore({ seed: 42 });
+    core.game.newGame();
+    core.game.lives = 99;
+    for (let i = 0; i < 60 * 30; i++) core.update(...next(i));
+    return core.game;
+  };
+
+  const rec = new TrenchReplay.Recorder({ seed: 42, difficulty: "normal", dtScale: DT_SCALE, axisScale: AXIS_SCALE });
+  const live = fly((i) => {
+    const ax = Math.round(Math.sin(i / 30) * AXIS_SCALE);
+    const flags = i % 20 < 10 ? IN_FIRE : 0;
+    rec.push(167, ax, 0, flags);
+    return [167 / DT_SCALE, { ax: ax / AXIS_SCALE, ay: 0, flags }];
+  });
+
+  const r = TrenchReplay.parse(JSON.stringify(rec.finish({ score: live.score, round: live.round })));
+  const played = fly((i) => [r.dt[i], { ax: r.ax[i], ay: r.ay[i], flags: r.flags[i] }]);
+  assert.ok(live.score > 0);
+  assert.equal(played.score, r.meta.score);
+  assert.equal(played.ship.x, live.ship.x);
+});
@@ -0,0 +1,124 @@
+// test/rounds.test.js
+// Round scripts (game/rounds.js): defaults, the path-prefixed problem list
+// the play and editor pages show, and the stringify round trip.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const TrenchRounds = require("../game/rounds.js");
+
+const script = (rounds) => ({ format: TrenchRounds.FORMAT, version: TrenchRounds.VERSION, rounds });
+
+// the problems a script is rejected with
+function problems(data) {
+  try {
+    TrenchRounds.validate(data);
+  } catch (err) {
+    return err.problems;
+  }
+  assert.fail("expected the script to be rejected");
+}
+
+test("a minimal round gets every default, with spawns in distance order", () => {
+  const [round] = TrenchRounds.validate(
+    script([
+      {
+        length: 20000,
+        speed: 600,
+        spawns: [
+          { at: 9000, type: "pipe" },
+          { at: 3000, type: "interceptor", x: 0.5 },
+        ],
+      },
+    ])
+  );
+
+  assert.equal(round.name, "");
+  assert.deepEqual(round.speeds, []);
+  assert.equal(round.course, null);
+  assert.deepEqual(round.finale, { bonus: null, ventRadius: null });
+  assert.deepEqual(
+    round.spawns.map((s) => s.at),
+    [3000, 9000]
+  );
+  assert.deepEqual(round.spawns[0], { at: 3000, type: "interceptor", x: 0.5, y: 0 });
+  assert.deepEqual(round.spawns[1], { at: 9000, type: "pipe", side: "left", y: 0, length: 120 });
+});
+
+test("every problem is reported at once, each with its path", () => {
+  const list = problems(
+    script([
+      { length: 20000, speed: 600, spawns: [] },
+      {
+        length: 300000,
+        speed: 600,
+        color: "red",
+        spawns: [
+          { at: 1000, type: "interceptor", x: 3 },
+          { at: 2000, type: "dragon" },
+        ],
+      },
+    ])
+  );
+
+  assert.deepEqual(list, [
+    "rounds[1].color: unknown field",
+    "rounds[1].length: 300000 is outside 6000..200000",
+    "rounds[1].spawns[0].x: 3 is outside -1..1",
+    `rounds[1].spawns[1].type: expected one of ${Object.keys(TrenchRounds.SPAWNS)
+      .map((t) => JSON.stringify(t))
+      .join(", ")}, got "dragon"`,
+  ]);
+});
+
+test("the error message carries the count and the list", () => {
+  assert.throws(
+    () => TrenchRounds.validate(script([{ length: 20000, spawns: [] }])),
+    (err) => err.message === "Round script: 1 problem(s)\n  rounds[0].speed: missing (a number)"
+  );
+});
+
+test("a spawn past the end of its round is out of range", () => {
+  assert.deepEqual(problems(script([{ length: 8000, speed: 600, spawns: [{ at: 9000, type: "door" }] }])), [
+    "rounds[0].spawns[0].at: 9000 is outside 0..8000",
+  ]);
+});
+
+test("the wrong format, version or an empty list stops before the rounds", () => {
+  assert.deepEqual(problems({ rounds: [] }), ['script: not a round script (expected "format": "ntr-rounds")']);
+  assert.deepEqual(problems({ format: TrenchRounds.FORMAT, version: 7, rounds: [] }), [
+    "version: unsupported version 7 (this build reads 1)",
+  ]);
+  assert.deepEqual(problems(script([])), ["rounds: expected a list of at least one round"]);
+});
+
+test("parse names bad JSON", () => {
+  assert.throws(() => TrenchRounds.parse("{ rounds: "), /^Error: Round script: not valid JSON/);
+});
+
+test("stringify writes back what validate reads", () => {
+  const rounds = TrenchRounds.validate(
+    script([
+      {
+        name: "Test",
+        length: 30000,
+        speed: 640,
+        speeds: [{ at: 12000, speed: 760 }],
+        course: [{ at: 4000, bend: 120, width: 0.8 }],
+        spawns: [
+          { at: 2000, type: "turret", side: "right", y: 0.4 },
+          { at: 5000, type: "barrier", half: "high" },
+        ],
+        finale: { bonus: 2500 },
+      },
+    ])
+  );
+  assert.deepEqual(TrenchRounds.parse(TrenchRounds.stringify(rounds)), rounds);
+});
+
+test("the shipped campaign is valid", () => {
+  const text = fs.readFileSync(path.join(__dirname, "../game/campaign.json"), "utf8");
+  assert.ok(TrenchRounds.parse(text).length > 0);
+});
@@ -0,0 +1,105 @@
+// test/scores.test.js
+// High-score tables (game/scores.js): per-difficulty tables and the
+// v1 -> v2 store migration.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TrenchScores = require("../game/scores.js");
+
+// a fresh localStorage for every test
+function memoryStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: (k) => map.delete(k),
+  };
+}
+
+function withStore(data) {
+  globalThis.localStorage = memoryStorage(data === undefined ? {} : { [TrenchScores.KEY]: JSON.stringify(data) });
+}
+
+const stored = () => JSON.parse(localStorage.getItem(TrenchScores.KEY));
+
+test.beforeEach(() => withStore());
+
+test("a v1 store keeps every entry, in a legacy table of its own", () => {
+  withStore({
+    version: 1,
+    entries: [
+      { initials: "AAA", score: 9000, round: 4, date: "2026-01-02T00:00:00.000Z" },
+      { initials: "BBB", score: 7000, round: 3, date: "2026-01-01T00:00:00.000Z" },
+    ],
+  });
+
+  const data = TrenchScores.load();
+  assert.equal(data.version, TrenchScores.VERSION);
+  assert.deepEqual(
+    data.entries.map((e) => [e.initials, e.difficulty]),
+    [
+      ["AAA", "legacy"],
+      ["BBB", "legacy"],
+    ]
+  );
+  assert.deepEqual(TrenchScores.table(data.entries, "normal"), []);
+});
+
+test("legacy scores never crowd out a new run", () => {
+  const entries = [];
+  for (let i = 0; i < TrenchScores.TOP_N; i++) {
+    entries.push({ initials: "OLD", score: 50000 + i, round: 5, date: "2026-01-01T00:00:00.000Z" });
+  }
+  withStore({ version: 1, entries });
+
+  assert.ok(TrenchScores.qualifies(100, "normal"));
+  assert.equal(TrenchScores.add("NEW", 100, 1, "normal"), 1);
+
+  const data = TrenchScores.load();
+  assert.equal(TrenchScores.table(data.entries, "legacy").length, TrenchScores.TOP_N);
+  assert.equal(stored().version, TrenchScores.VERSION); // written back migrated
+});
+
+test("each difficulty ranks on its own table", () => {
+  assert.equal(TrenchScores.add("EAS", 5000, 2, "easy"), 1);
+  assert.equal(TrenchScores.add("HRD", 3000, 2, "hard"), 1);
+  assert.equal(TrenchScores.add("HR2", 4000, 2, "hard"), 1);
+
+  const { entries } = TrenchScores.load();
+  assert.deepEqual(
+    TrenchScores.table(entries, "hard").map((e) => e.initials),
+    ["HR2", "HRD"]
+  );
+});
+
+test("a full table only takes a score that beats its last place", () => {
+  for (let i = 1; i <= TrenchScores.TOP_N; i++) TrenchScores.add("AAA", i * 100, 1, "normal");
+
+  assert.equal(TrenchScores.qualifies(100, "normal"), false);
+  assert.equal(TrenchScores.add("LOW", 50, 1, "normal"), 0);
+  assert.equal(TrenchScores.add("TOP", 5000, 1, "normal"), 1);
+  assert.equal(TrenchScores.table(TrenchScores.load().entries, "normal").length, TrenchScores.TOP_N);
+});
+
+test("entries are cleaned on the way in", () => {
+  TrenchScores.add("a!b", 1234.9, 0, "normal");
+  const [e] = TrenchScores.load().entries;
+  assert.equal(e.initials, "AB-");
+  assert.equal(e.score, 1234);
+  assert.equal(e.round, 1);
+});
+
+test("an unreadable store loads empty", () => {
+  globalThis.localStorage = memoryStorage({ [TrenchScores.KEY]: "{not json" });
+  assert.deepEqual(TrenchScores.load(), { version: TrenchScores.VERSION, entries: [] });
+});
+
+test("a store from a newer build is read but never overwritten", () => {
+  const newer = { version: TrenchScores.VERSION + 1, entries: [{ initials: "FUT", score: 10, round: 1, difficulty: "normal" }] };
+  withStore(newer);
+
+  assert.equal(TrenchScores.load().entries[0].initials, "FUT");
+  TrenchScores.add("NOW", 500, 1, "normal");
+  assert.deepEqual(stored(), newer);
+});
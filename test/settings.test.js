@@ -0,0 +1,83 @@
+// test/settings.test.js
+// Player settings (game/settings.js): field-by-field validation and key
+// binding cleanup.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TrenchSettings = require("../game/settings.js");
+
+// a fresh localStorage for every test
+function memoryStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: (k) => map.delete(k),
+  };
+}
+
+test.beforeEach(() => {
+  globalThis.localStorage = memoryStorage();
+});
+
+const keysFor = (keys) => TrenchSettings.validate({ keys }).keys;
+
+test("nothing usable means the defaults", () => {
+  assert.deepEqual(TrenchSettings.validate(null), TrenchSettings.defaults());
+  assert.deepEqual(TrenchSettings.validate("loud"), TrenchSettings.defaults());
+});
+
+test("a bad field falls back on its own, the rest are kept", () => {
+  const d = TrenchSettings.defaults();
+  const s = TrenchSettings.validate({ volume: 0.3, sfxVolume: 4, muted: "yes", difficulty: "ace", hudScale: 0.2 });
+
+  assert.equal(s.volume, 0.3);
+  assert.equal(s.sfxVolume, d.sfxVolume);
+  assert.equal(s.muted, d.muted);
+  assert.equal(s.difficulty, "ace");
+  assert.equal(s.hudScale, d.hudScale);
+  assert.deepEqual(s.keys, d.keys);
+});
+
+test("an unknown difficulty falls back to the default", () => {
+  assert.equal(TrenchSettings.validate({ difficulty: "legacy" }).difficulty, TrenchSettings.defaults().difficulty);
+});
+
+test("keys are lowercased, capped at two and never reserved", () => {
+  const keys = keysFor({ up: ["I", "Enter", "K", "L"], fire: ["Tab"] });
+  assert.deepEqual(keys.up, ["i", "k"]);
+  assert.deepEqual(keys.fire, TrenchSettings.defaults().keys.fire);
+});
+
+test("a key goes to the first action that claims it", () => {
+  const keys = keysFor({ up: ["x"], down: ["x", "j"] });
+  assert.deepEqual(keys.up, ["x"]);
+  assert.deepEqual(keys.down, ["j"]);
+});
+
+test("a default never takes a key the player bound elsewhere", () => {
+  // daily comes after up in the list, but "w" is the player's pick
+  const keys = keysFor({ daily: ["w"] });
+  assert.deepEqual(keys.daily, ["w"]);
+  assert.deepEqual(keys.up, ["arrowup"]);
+});
+
+test("an action left with no free key shares its default rather than go unbound", () => {
+  const keys = keysFor({ fire: ["t"], daily: [] });
+  assert.deepEqual(keys.fire, ["t"]);
+  assert.deepEqual(keys.daily, ["t"]);
+  for (const action of TrenchSettings.ACTIONS) assert.ok(keys[action].length > 0, action);
+});
+
+test("save validates, and load reads it back", () => {
+  const saved = TrenchSettings.save({ ...TrenchSettings.defaults(), volume: 0.25, keys: { fire: ["F"] } });
+  assert.equal(saved.volume, 0.25);
+  assert.deepEqual(TrenchSettings.load(), saved);
+  assert.equal(JSON.parse(localStorage.getItem(TrenchSettings.KEY)).version, TrenchSettings.VERSION);
+});
+
+test("an unreadable store loads the defaults", () => {
+  localStorage.setItem(TrenchSettings.KEY, "{not json");
+  assert.deepEqual(TrenchSettings.load(), TrenchSettings.defaults());
+});